@@ -0,0 +1,19 @@
+/* ============================================================
+   NewsInkB Admin Dashboard
+   ------------------------------------------------------------
+   Responsibilities:
+   - Ask before destructive actions (forms with data-confirm)
+   - Disable a form's button while its action runs (re-scrapes
+     can take a few seconds)
+   ============================================================ */
+
+document.addEventListener("submit", e => {
+  const form = e.target;
+  const question = form.dataset.confirm;
+  if (question && !window.confirm(question)) {
+    e.preventDefault();
+    return;
+  }
+  const btn = form.querySelector("button[type=submit]");
+  if (btn) btn.disabled = true;
+});
@@ -0,0 +1,55 @@
+/* ============================================================
+   NewsInkB Sign-in Script
+   ------------------------------------------------------------
+   Responsibilities:
+   - Email + password: sign in or create an account
+   - Request a magic sign-in link
+   - Show server errors inline; go home once signed in
+   ============================================================ */
+
+/* ---------- DOM Elements ---------- */
+const passwordForm = document.getElementById("passwordForm");
+const magicForm    = document.getElementById("magicForm");
+const authMessage  = document.getElementById("authMessage");
+
+/* ---------- Helpers ---------- */
+function showMessage(text) {
+  if (authMessage) authMessage.textContent = text;
+}
+
+async function postJSON(url, body) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `HTTP ${r.status}`);
+  return data;
+}
+
+/* ---------- Event Bindings ---------- */
+passwordForm?.addEventListener("submit", async e => {
+  e.preventDefault();
+  // which button submitted: "login" or "register"
+  const action = e.submitter?.dataset.action === "register" ? "register" : "login";
+  const form = new FormData(passwordForm);
+  try {
+    await postJSON(`/auth/${action}`, { email: form.get("email"), password: form.get("password") });
+    location.href = "/";
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+magicForm?.addEventListener("submit", async e => {
+  e.preventDefault();
+  const form = new FormData(magicForm);
+  try {
+    await postJSON("/auth/magic-link", { email: form.get("email") });
+    showMessage("Check your inbox for a sign-in link (valid for 15 minutes).");
+    magicForm.reset();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
@@ -2,23 +2,42 @@
    NewsInkB Frontend Script
    ------------------------------------------------------------
    Responsibilities:
-   - Fetch + cache articles
-   - Track read/unread state
-   - Switch scope (unread / all)
+   - Fetch + cache articles (cursor pages, then since= deltas)
+   - Track read/unread state (synced via /me/read when signed in)
+   - Switch scope (unread / all / saved)
+   - Bookmarks (read-later snapshots; synced via /bookmarks when signed in)
+   - Filter by category (topic picker)
+   - Search (results use the same card navigation)
+   - Live updates (/news/stream SSE → "N new stories" pill)
+   - Archive mode (/archive page): one past day, no cache / unread
+   - Offline: service worker (sw.js) + queued read marks
    - Navigation (next/prev/end)
    - Keyboard + touch navigation
    - Prefetch next image for smoother transitions
    ============================================================ */
 
 /* ---------- Config / Keys ---------- */
-const CACHE_KEY = "news_cache_v1";
+const CACHE_KEY = "news_cache_v2";
 const READ_KEY  = "news_read_v1";
 const SCOPE_KEY = "news_scope_v1";
+const CATEGORY_KEY = "news_category_v1";
+const BOOKMARK_KEY = "news_bookmarks_v1";
+const READ_QUEUE_KEY = "news_read_queue_v1"; // marks not yet on the server
 
-const CACHE_TTL = 5 * 60 * 1000;       // cache expires in 5 min
+const CACHE_TTL = 5 * 60 * 1000;       // delta-sync cache after 5 min
+const REBUILD_TTL = 6 * 60 * 60 * 1000; // full rebuild after 6 hrs
 const READ_TTL  = 24 * 60 * 60 * 1000; // read markers expire in 24 hrs
 const MAX_PAGES_CAP = 1000;            // safety cap
 const PAGE_LIMIT = 50;                 // backend page size
+const DELTA_LIMIT = 100;               // since= batch size
+const SEARCH_LIMIT = 100;              // max search results loaded
+const READ_SYNC_MS = 2000;             // batch read marks sent to the server
+const READ_SYNC_MAX = 500;             // ids per POST /me/read
+const SW_IMAGE_LIMIT = 100;            // images warmed for offline reading
+const IMAGE_WIDTHS = [320, 640, 960, 1280]; // /img/:id?w= ladder (services/imageProxy)
+const IMAGE_WIDTH = 640;               // default / prefetch variant
+const IMAGE_SIZES = "(max-width: 600px) 100vw, 760px";
+const OBJECT_ID_RE = /^[0-9a-f]{24}$/i;
 
 /* ---------- DOM Elements ---------- */
 const newsContainer  = document.getElementById("news-container");
@@ -27,9 +46,20 @@ const nextBtn        = document.getElementById("nextBtn");
 const latestBtn      = document.getElementById("latestBtn");
 const scopeSelect    = document.getElementById("scopeSelect");
 const scopeToggleBtn = document.getElementById("scopeToggleBtn");
+const categorySelect = document.getElementById("categorySelect");
+const searchForm     = document.getElementById("searchForm");
+const searchInput    = document.getElementById("searchInput");
+const searchClearBtn = document.getElementById("searchClearBtn");
+const newStoriesPill = document.getElementById("newStoriesPill");
+const signOutBtn     = document.getElementById("signOutBtn");
 const prevBtnAlt     = document.getElementById("prevBtnAlt");
 const nextBtnAlt     = document.getElementById("nextBtnAlt");
 
+// set on the /archive page (YYYY-MM-DD)
+const archiveDate = document.body.dataset.archiveDate || "";
+// signed-in readers also keep read state on the server (/me/read)
+const signedIn = document.body.dataset.signedIn === "1";
+
 /* ---------- Helpers ---------- */
 function escapeHTML(s = "") {
   return String(s)
@@ -63,10 +93,71 @@ function pruneReadMap(map = loadReadMap()) {
 function markRead(id) {
   if (!id) return;
   const map = pruneReadMap();
+  if (!map[id]) queueServerRead(id);
   map[id] = Date.now();
   saveReadMap(map);
 }
 
+/* ---------- Read Sync (signed in) ---------- */
+// localStorage stays the working copy; the server is merged in on
+// snapshot builds and receives new marks in small batches. The outbox is
+// persisted, so marks made offline go up once we're back online.
+function loadReadQueue() {
+  try { return new Set(JSON.parse(localStorage.getItem(READ_QUEUE_KEY)) || []); }
+  catch { return new Set(); }
+}
+function saveReadQueue() {
+  localStorage.setItem(READ_QUEUE_KEY, JSON.stringify([...pendingReads]));
+}
+
+let pendingReads = loadReadQueue();
+let readSyncTimer = null;
+
+function queueServerRead(id) {
+  if (!signedIn) return;
+  pendingReads.add(id);
+  saveReadQueue();
+  clearTimeout(readSyncTimer);
+  readSyncTimer = setTimeout(flushReads, READ_SYNC_MS);
+}
+async function flushReads() {
+  clearTimeout(readSyncTimer);
+  if (!signedIn || !pendingReads.size) return;
+  const ids = [...pendingReads].slice(0, READ_SYNC_MAX);
+  ids.forEach(id => pendingReads.delete(id));
+  try {
+    const r = await fetch("/me/read", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ids }),
+      keepalive: true, // survives page unload
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  } catch {
+    // offline / server error → retried with the next mark or when online
+    ids.forEach(id => pendingReads.add(id));
+    return;
+  }
+  saveReadQueue();
+  if (pendingReads.size) readSyncTimer = setTimeout(flushReads, READ_SYNC_MS);
+}
+// server → local (newest readAt wins); local-only ids go up, so reads
+// made before signing in follow the account
+async function syncReadState() {
+  if (!signedIn) return;
+  try {
+    const r = await fetchJSON("/me/read", 0);
+    const map = loadReadMap();
+    const onServer = new Set();
+    for (const { id, readAt } of r?.reads || []) {
+      onServer.add(id);
+      map[id] = Math.max(map[id] || 0, Date.parse(readAt) || 0);
+    }
+    for (const id of Object.keys(map)) if (!onServer.has(id)) queueServerRead(id);
+    saveReadMap(map);
+  } catch { /* offline → local state only */ }
+}
+
 /* ---------- Cache Handling ---------- */
 function loadCache() {
   try { return JSON.parse(localStorage.getItem(CACHE_KEY)) || null; }
@@ -78,15 +169,101 @@ function saveCache(cache) {
 function isCacheFresh(cache) {
   return cache && Date.now() - cache.updatedAt < CACHE_TTL;
 }
+function canDeltaSync(cache) {
+  return cache && cache.cursor && Date.now() - (cache.builtAt || 0) < REBUILD_TTL;
+}
 
 /* ---------- Scope Persistence ---------- */
+// the scope toggle cycles unread → all → saved
+const NEXT_SCOPE = { unread: "all", all: "saved", saved: "unread" };
+const SCOPE_LABELS = { unread: "Unread News", all: "All News", saved: "Saved" };
+
 function loadScope() {
-  return localStorage.getItem(SCOPE_KEY) || "unread";
+  const saved = localStorage.getItem(SCOPE_KEY);
+  return NEXT_SCOPE[saved] ? saved : "unread";
 }
 function saveScope(scope) {
   localStorage.setItem(SCOPE_KEY, scope);
 }
 
+/* ---------- Bookmarks ---------- */
+// id → { savedAt, article, synced }; the article is a snapshot, so saved
+// cards survive the feed's retention window
+function loadBookmarks() {
+  try { return JSON.parse(localStorage.getItem(BOOKMARK_KEY)) || {}; }
+  catch { return {}; }
+}
+function saveBookmarks(map) {
+  localStorage.setItem(BOOKMARK_KEY, JSON.stringify(map));
+}
+function bookmarkSnapshot(a) {
+  const { highlight, translations, score, ...rest } = a;
+  return rest;
+}
+async function pushBookmark(id) {
+  try {
+    const r = await fetch("/bookmarks", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ id }),
+    });
+    if (!r.ok) return; // e.g. 404: article gone server-side → stays local
+    const { bookmark } = await r.json();
+    if (bookmarks[id]) {
+      bookmarks[id] = { savedAt: bookmarks[id].savedAt, article: bookmark.article, synced: true };
+      saveBookmarks(bookmarks);
+    }
+  } catch { /* offline → pushed again on the next sync */ }
+}
+// server → local; unsynced local saves go up, synced ones missing on the
+// server were removed on another device
+async function syncBookmarks() {
+  if (!signedIn) return;
+  try {
+    const r = await fetchJSON("/bookmarks", 0);
+    const onServer = {};
+    for (const b of r?.bookmarks || []) onServer[b.id] = b;
+
+    for (const [id, mark] of Object.entries(bookmarks)) {
+      if (onServer[id]) continue;
+      if (mark.synced) delete bookmarks[id];
+      else pushBookmark(id);
+    }
+    for (const [id, b] of Object.entries(onServer)) {
+      bookmarks[id] = { savedAt: Date.parse(b.savedAt) || Date.now(), article: b.article, synced: true };
+    }
+    saveBookmarks(bookmarks);
+  } catch { /* offline → local bookmarks only */ }
+}
+function toggleBookmark(id) {
+  if (!id) return;
+  if (bookmarks[id]) {
+    delete bookmarks[id];
+    if (signedIn) fetch(`/bookmarks/${encodeURIComponent(id)}`, { method: "DELETE" }).catch(() => {});
+  } else {
+    const a = articleById(id);
+    if (!a) return;
+    bookmarks[id] = { savedAt: Date.now(), article: bookmarkSnapshot(a), synced: false };
+    if (signedIn) pushBookmark(id);
+  }
+  saveBookmarks(bookmarks);
+  updateBookmarkBtn(id);
+}
+
+/* ---------- Category Persistence ---------- */
+// "" = all topics
+function loadCategory() {
+  return localStorage.getItem(CATEGORY_KEY) || "";
+}
+function saveCategory(category) {
+  localStorage.setItem(CATEGORY_KEY, category);
+}
+function inCategory(a) {
+  if (!category) return true;
+  const cats = Array.isArray(a?.categories) && a.categories.length ? a.categories : ["general"];
+  return cats.includes(category);
+}
+
 /* ---------- Indexing Articles ---------- */
 function indexArticles(articles) {
   articles.sort(
@@ -117,109 +294,263 @@ async function fetchJSON(url, retries = 2) {
   }
 }
 
-async function fetchPage(p = 1, limit = PAGE_LIMIT, snapshot) {
+async function fetchPage(cursor = "", limit = PAGE_LIMIT) {
   const url = new URL('/news', location.origin);
-  url.searchParams.set('page', String(p));
+  url.searchParams.set('cursor', cursor);
   url.searchParams.set('limit', String(limit));
-  if (snapshot) url.searchParams.set('snapshot', snapshot);
 
   const r = await fetchJSON(url.toString());
   return {
     items: Array.isArray(r?.articles) ? r.articles : [],
-    totalPages: r?.totalPages || 0,
-    page: r?.page || p,
+    nextCursor: r?.nextCursor || null,
+    topCursor: r?.topCursor || null,
     snapshot: r?.snapshot || null,
   };
 }
 
-
+// walk keyset pages newest → oldest; returns items + newest cursor +
+// when the walk started (removals after that come with the next delta)
 async function fetchAllArticles() {
-  const first = await fetchPage(1, PAGE_LIMIT);
-  const total = Math.min(first.totalPages || 1, MAX_PAGES_CAP);
-  let all = [...first.items];
-
-  if (total > 1) {
-    const tasks = [];
-    for (let p = 2; p <= total; p++) {
-      tasks.push(fetchPage(p, PAGE_LIMIT, first.snapshot)); // reuse same snapshot
-    }
-    const rest = await Promise.all(tasks);
-    for (const r of rest) all.push(...r.items);
+  const first = await fetchPage("");
+  const all = [...first.items];
+  let next = first.nextCursor;
+
+  for (let n = 1; next && n < MAX_PAGES_CAP; n++) {
+    const r = await fetchPage(next);
+    all.push(...r.items);
+    next = r.nextCursor;
   }
-  return all;
+  return { articles: all, cursor: first.topCursor, syncedAt: first.snapshot };
 }
 
+// only what changed since the cached cursor / last sync;
+// reset → the server can't list every removal, rebuild instead
+async function fetchDelta(since, removedSince) {
+  const added = [];
+  const removed = new Set();
+  let cursor = since, removedBefore = null, syncedAt = null, hasMore = true;
+
+  for (let n = 0; hasMore && n < MAX_PAGES_CAP; n++) {
+    const url = new URL('/news', location.origin);
+    url.searchParams.set('since', cursor);
+    url.searchParams.set('limit', String(DELTA_LIMIT));
+    if (removedSince) url.searchParams.set('removedSince', removedSince);
+
+    const r = await fetchJSON(url.toString(), 0);
+    if (r?.reset) return { reset: true };
+    if (Array.isArray(r?.articles)) added.push(...r.articles);
+    if (Array.isArray(r?.removed)) r.removed.forEach(id => removed.add(id));
+    cursor = r?.cursor || cursor;
+    removedBefore = r?.removedBefore || removedBefore;
+    syncedAt = syncedAt || r?.syncedAt || null; // first page's: earliest, so nothing is missed
+    hasMore = !!r?.hasMore;
+  }
+  return { added, removed, cursor, removedBefore, syncedAt };
+}
 
-async function serverTopId() {
-  const r = await fetchPage(1, 1);
-  const a = r.items[0];
-  return a ? a._id || a.link || "" : "";
+// every article of one archived day (small: a day's worth)
+async function fetchArchive(date) {
+  const all = [];
+  for (let p = 1; p <= MAX_PAGES_CAP; p++) {
+    const url = new URL('/archive', location.origin);
+    url.searchParams.set('date', date);
+    url.searchParams.set('page', String(p));
+    url.searchParams.set('limit', "100");
+
+    const r = await fetchJSON(url.toString());
+    if (Array.isArray(r?.articles)) all.push(...r.articles);
+    if (p >= (r?.totalPages || 1)) break;
+  }
+  return all;
 }
 
-async function ensureCache() {
-  let cache = loadCache();
+async function fetchSearch(q) {
+  const url = new URL('/search', location.origin);
+  url.searchParams.set('q', q);
+  url.searchParams.set('limit', String(SEARCH_LIMIT));
+  if (category) url.searchParams.set('category', category);
+
+  const r = await fetchJSON(url.toString(), 0);
+  return Array.isArray(r?.articles) ? r.articles : [];
+}
 
-  if (!isCacheFresh(cache)) {
-    showLoading();
-    const articles = await fetchAllArticles();
-    cache = indexArticles(articles);
+async function rebuildCache() {
+  showLoading();
+  try {
+    const { articles, cursor, syncedAt } = await fetchAllArticles();
+    const cache = indexArticles(articles);
+    cache.cursor = cursor;
+    cache.syncedAt = syncedAt;
+    cache.builtAt = cache.updatedAt;
     saveCache(cache);
-    hideLoading();
     return cache;
+  } finally {
+    hideLoading();
   }
+}
 
-  try {
-    const topServer = await serverTopId();
-    const topCache = cache.order[0] || "";
-    if (topServer && topServer !== topCache) {
-      showLoading();
-      const articles = await fetchAllArticles();
-      cache = indexArticles(articles);
-      saveCache(cache);
-      hideLoading();
+// merge a delta into the cache: new items on top, removed / expired ones dropped
+function applyDelta(cache, { added, removed, cursor, removedBefore, syncedAt }) {
+  const cutoff = removedBefore ? new Date(removedBefore) : null;
+  const kept = cache.order
+    .filter(id => !removed.has(id))
+    .map(id => cache.map[id])
+    .filter(a => a && !(cutoff && new Date(a.createdAt) < cutoff));
+
+  // added may repeat cached items (the server re-sends a window behind the
+  // cursor to catch late commits); indexArticles keeps the first copy
+  const next = indexArticles([...added.filter(a => !removed.has(a._id)), ...kept]);
+  next.cursor = cursor;
+  next.syncedAt = syncedAt || cache.syncedAt;
+  next.builtAt = cache.builtAt;
+  return next;
+}
+
+async function ensureCache() {
+  const cache = loadCache();
+  if (isCacheFresh(cache)) return cache;
+  if (!canDeltaSync(cache)) {
+    try {
+      return await rebuildCache();
+    } catch (err) {
+      // offline cold start → read the stale copy rather than nothing
+      if (cache) return cache;
+      throw err;
     }
-  } catch { /* ignore network error */ }
+  }
 
-  return cache;
+  try {
+    const delta = await fetchDelta(cache.cursor, cache.syncedAt);
+    if (delta.reset) return await rebuildCache();
+    const next = applyDelta(cache, delta);
+    saveCache(next);
+    return next;
+  } catch (err) {
+    // rejected cursor → start over; network error → keep what we have
+    if (/^HTTP 4/.test(err?.message || "")) return rebuildCache();
+    return cache;
+  }
 }
 
 /* ---------- Navigation State ---------- */
 let scope = loadScope();
+let category = loadCategory();
 let snapshotIds = [];
 let idx = 0;
 let cacheRef = null;
 let atEnd = false;
+let searchQuery = "";   // non-empty → snapshotIds are search results
+let searchMap = {};
+let incomingIds = [];   // streamed in, not yet in snapshotIds
+let bookmarks = loadBookmarks();
+
+// search results + archive behave like the "all" scope (no end card)
+function isUnreadMode() {
+  return scope === "unread" && !searchQuery && !archiveDate;
+}
+function articleById(id) {
+  if (searchQuery) return searchMap[id];
+  if (scope === "saved" && !archiveDate) return bookmarks[id]?.article;
+  return cacheRef?.map[id] || bookmarks[id]?.article;
+}
 
 /* ---------- UI Helpers ---------- */
 function updateScopeUI() {
   if (scopeSelect) scopeSelect.value = scope;
+  if (categorySelect) {
+    // saved category may no longer exist
+    if (![...categorySelect.options].some(o => o.value === category)) category = "";
+    categorySelect.value = category;
+  }
   if (scopeToggleBtn) {
-    scopeToggleBtn.textContent = scope === "unread" ? "All News" : "Unread News";
+    // label = where a click goes next
+    scopeToggleBtn.textContent = SCOPE_LABELS[NEXT_SCOPE[scope]];
   }
 }
 function renderArticle(a) {
-  const title   = escapeHTML(a.title || "");
+  // search highlights arrive HTML-escaped with <mark> around matches
+  const title   = a.highlight?.title || escapeHTML(a.title || "");
   const source  = escapeHTML(a.source || "");
   const link    = a.link || "#";
-  const summary = escapeHTML(a.summary || "");
+  const summary = a.highlight?.summary || escapeHTML(a.summary || "");
+  const id      = a._id || a.link || "";
+  const saved   = !!bookmarks[id];
 
   newsContainer.innerHTML = `
     <div class="news-card">
+      <button type="button" class="bookmark-btn" data-id="${escapeHTML(id)}"
+        aria-pressed="${saved}" aria-label="${saved ? "Remove from saved" : "Save for later"}">${saved ? "★" : "☆"}</button>
       <h2>${title}</h2>
-      ${a.image ? `<img src="${a.image}" alt="" loading="lazy">` : ``}
+      ${a.image ? imageTag(a) : ``}
       <p>${summary}</p>
       <a href="${link}" target="_blank" rel="noopener">Read full article on ${source} ➜</a>
     </div>
   `;
 
   const nextId = snapshotIds[idx + 1];
-  const nextArt = nextId ? cacheRef.map[nextId] : null;
+  const nextArt = nextId ? articleById(nextId) : null;
   if (nextArt?.image) {
     const img = new Image();
-    img.src = nextArt.image;
+    img.src = imageSrc(nextArt);
   }
 }
+// short hash of the source URL: a re-scraped image gets a new /img URL
+// instead of a week-old cached variant
+function imageVersion(url = "") {
+  let h = 5381;
+  for (let i = 0; i < url.length; i++) h = ((h << 5) + h + url.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+// stored articles go through the /img proxy (resized, no hotlinking);
+// anything else (e.g. an old bookmark snapshot) keeps its original URL.
+// The proxy only knows live / archived articles, so a saved snapshot whose
+// article is gone falls back to its stored URL (see the error listener)
+function imageSrc(a, width = IMAGE_WIDTH) {
+  return OBJECT_ID_RE.test(a._id || "") ? `/img/${a._id}?w=${width}&v=${imageVersion(a.image)}` : a.image;
+}
+function imageTag(a) {
+  if (!OBJECT_ID_RE.test(a._id || "")) return `<img src="${escapeHTML(a.image)}" alt="" loading="lazy">`;
+  const srcset = IMAGE_WIDTHS.map(w => `${imageSrc(a, w)} ${w}w`).join(", ");
+  const size = a.imageWidth && a.imageHeight ? ` width="${a.imageWidth}" height="${a.imageHeight}"` : "";
+  return `<img src="${imageSrc(a)}" srcset="${srcset}" sizes="${IMAGE_SIZES}"${size} ` +
+    `data-fallback="${escapeHTML(a.image)}" alt="" loading="lazy">`;
+}
+function updateBookmarkBtn(id) {
+  const btn = newsContainer?.querySelector(".bookmark-btn");
+  if (!btn || btn.dataset.id !== id) return;
+  const saved = !!bookmarks[id];
+  btn.textContent = saved ? "★" : "☆";
+  btn.setAttribute("aria-pressed", String(saved));
+  btn.setAttribute("aria-label", saved ? "Remove from saved" : "Save for later");
+}
 function renderEmpty() {
+  if (archiveDate) {
+    newsContainer.innerHTML = `
+      <div class="news-card empty-state">
+        <h2>Nothing archived</h2>
+        <p>No articles for ${escapeHTML(archiveDate)}.</p>
+      </div>
+    `;
+    return;
+  }
+  if (scope === "saved" && !searchQuery) {
+    newsContainer.innerHTML = `
+      <div class="news-card empty-state">
+        <h2>Nothing saved yet</h2>
+        <p>Tap ☆ on any card to keep it here.</p>
+      </div>
+    `;
+    return;
+  }
+  if (searchQuery) {
+    newsContainer.innerHTML = `
+      <div class="news-card empty-state">
+        <h2>No results</h2>
+        <p>Nothing matches “${escapeHTML(searchQuery)}”.</p>
+      </div>
+    `;
+    return;
+  }
   newsContainer.innerHTML = `
     <div class="news-card empty-state">
       <h2>You're all caught up 🎉</h2>
@@ -241,7 +572,7 @@ function updateNav() {
     nextBtn && (nextBtn.disabled = true);
     return;
   }
-  if (scope === "unread") {
+  if (isUnreadMode()) {
     prevBtn && (prevBtn.disabled = atEnd ? false : idx <= 0);
     nextBtn && (nextBtn.disabled = atEnd);
   } else {
@@ -252,13 +583,31 @@ function updateNav() {
 
 /* ---------- Snapshot / Scope ---------- */
 async function buildSnapshot() {
+  if (archiveDate) {
+    // past day: fetched fresh, never cached, read state ignored
+    cacheRef = indexArticles(await fetchArchive(archiveDate));
+    snapshotIds = cacheRef.order.filter(id => inCategory(cacheRef.map[id]));
+    return;
+  }
   cacheRef = await ensureCache();
+  await syncReadState();
+  await syncBookmarks();
+  if (scope === "saved") {
+    // newest save first
+    snapshotIds = Object.keys(bookmarks)
+      .filter(id => inCategory(bookmarks[id].article))
+      .sort((x, y) => bookmarks[y].savedAt - bookmarks[x].savedAt);
+    clearIncoming();
+    return;
+  }
   const rm = pruneReadMap();
+  const pool = cacheRef.order.filter(id => inCategory(cacheRef.map[id]));
   let ids = (scope === "all")
-    ? cacheRef.order.slice()
-    : cacheRef.order.filter(id => !rm[id]);
-  if (scope === "all" && !ids.length) ids = cacheRef.order.slice();
+    ? pool.slice()
+    : pool.filter(id => !rm[id]);
+  if (scope === "all" && !ids.length) ids = pool.slice();
   snapshotIds = ids;
+  clearIncoming(); // a fresh snapshot already has them
 }
 function showAtIndex(i = 0) {
   if (!snapshotIds.length) {
@@ -271,19 +620,148 @@ function showAtIndex(i = 0) {
   atEnd = false;
   idx = Math.max(0, Math.min(i, snapshotIds.length - 1));
   const id = snapshotIds[idx];
-  const a = cacheRef.map[id];
+  const a = articleById(id);
   if (!a) return;
   renderArticle(a);
   markRead(id);
   updateNav();
 }
 async function setScope(nextScope) {
+  clearSearchState();
   scope = nextScope;
   atEnd = false;
   saveScope(scope);
   updateScopeUI();
   await buildSnapshot();
   showAtIndex(0);
+  warmImageCache();
+}
+
+async function setCategory(nextCategory) {
+  category = nextCategory || "";
+  atEnd = false;
+  saveCategory(category);
+  updateScopeUI();
+  if (searchQuery) return runSearch(searchQuery);
+  await buildSnapshot();
+  showAtIndex(0);
+  warmImageCache();
+}
+
+/* ---------- Search ---------- */
+function clearSearchState() {
+  searchQuery = "";
+  searchMap = {};
+  if (searchInput) searchInput.value = "";
+  if (searchClearBtn) searchClearBtn.hidden = true;
+}
+async function runSearch(q) {
+  q = (q || "").trim();
+  if (q.length < 2) return;
+  showLoading();
+  try {
+    const results = await fetchSearch(q);
+    searchQuery = q;
+    searchMap = {};
+    snapshotIds = [];
+    for (const a of results) {
+      const id = a._id || a.link;
+      if (!id || searchMap[id]) continue;
+      searchMap[id] = a;
+      snapshotIds.push(id);
+    }
+    if (searchClearBtn) searchClearBtn.hidden = false;
+    showAtIndex(0);
+  } catch (e) {
+    newsContainer.innerHTML = `
+      <div class="news-card">
+        <p>Search failed. Please try again.</p>
+      </div>
+    `;
+    console.error("Search error:", e?.message || e);
+  }
+}
+async function clearSearch() {
+  clearSearchState();
+  atEnd = false;
+  await buildSnapshot();
+  showAtIndex(0);
+  warmImageCache();
+}
+
+/* ---------- Live Updates ---------- */
+function updatePill() {
+  if (!newStoriesPill) return;
+  const n = incomingIds.length;
+  newStoriesPill.hidden = n === 0;
+  newStoriesPill.textContent = n === 1 ? "1 new story" : `${n} new stories`;
+}
+function clearIncoming() {
+  incomingIds = [];
+  updatePill();
+}
+// streamed article → cache (always) + pill (if it belongs in this view);
+// the delta cursor is left alone: only a since= sync may advance it, since
+// the stream's replay is capped and may have skipped items
+function receiveArticle(a) {
+  const id = a?._id || a?.link;
+  if (!id || !cacheRef || cacheRef.map[id]) return;
+
+  cacheRef.map[id] = a;
+  cacheRef.order.unshift(id);
+  saveCache(cacheRef);
+  warmImageCache([a]);
+
+  if (searchQuery || scope === "saved" || !inCategory(a)) return;
+  if (snapshotIds.includes(id) || incomingIds.includes(id)) return;
+  incomingIds.unshift(id);
+  updatePill();
+}
+// slot the new stories in right after the current card and show them;
+// "previous" still leads back to where the reader was
+function showIncoming() {
+  if (!incomingIds.length) return;
+  const ids = incomingIds;
+  clearIncoming();
+  if (!snapshotIds.length) {
+    snapshotIds = ids;
+    showAtIndex(0);
+    return;
+  }
+  const at = atEnd ? snapshotIds.length : idx + 1;
+  snapshotIds.splice(at, 0, ...ids);
+  showAtIndex(at);
+}
+function connectStream() {
+  if (!("EventSource" in window)) return;
+  const url = new URL("/news/stream", location.origin);
+  // replay anything saved between the cache sync and this connection
+  if (cacheRef?.cursor) url.searchParams.set("since", cacheRef.cursor);
+
+  const es = new EventSource(url.toString());
+  es.addEventListener("article", e => {
+    try { receiveArticle(JSON.parse(e.data)); }
+    catch { /* ignore malformed event */ }
+  });
+  // EventSource reconnects by itself (Last-Event-ID resumes the stream)
+}
+
+/* ---------- Offline Support ---------- */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("/sw.js")
+    .catch(e => console.error("Service worker registration failed:", e?.message || e));
+}
+// ask the service worker to keep images for offline use: the cards ahead
+// in this snapshot (after every snapshot build / delta merge), or the given
+// articles (streamed in)
+function warmImageCache(articles) {
+  const sw = navigator.serviceWorker?.controller;
+  if (!sw) return;
+  const urls = (articles || snapshotIds.slice(idx, idx + SW_IMAGE_LIMIT).map(id => articleById(id)))
+    .filter(a => a?.image)
+    .map(a => imageSrc(a));
+  if (urls.length) sw.postMessage({ type: "cache-images", urls });
 }
 
 /* ---------- Loading Indicator ---------- */
@@ -300,7 +778,7 @@ function hideLoading() {}
 /* ---------- Nav Handlers ---------- */
 function handleNext() {
   if (!snapshotIds.length) return;
-  if (scope === "unread") {
+  if (isUnreadMode()) {
     if (atEnd) return;
     if (idx < snapshotIds.length - 1) {
       showAtIndex(idx + 1);
@@ -313,7 +791,7 @@ function handleNext() {
 }
 function handlePrev() {
   if (!snapshotIds.length) return;
-  if (scope === "unread") {
+  if (isUnreadMode()) {
     if (atEnd) {
       atEnd = false;
       showAtIndex(snapshotIds.length - 1);
@@ -333,13 +811,50 @@ nextBtnAlt?.addEventListener("click", handleNext);
 
 latestBtn?.addEventListener("click", () => setScope("unread"));
 scopeSelect?.addEventListener("change", e => setScope(e.target.value));
-scopeToggleBtn?.addEventListener("click", () =>
-  setScope(scope === "unread" ? "all" : "unread")
-);
+scopeToggleBtn?.addEventListener("click", () => setScope(NEXT_SCOPE[scope]));
+categorySelect?.addEventListener("change", e => setCategory(e.target.value));
+
+searchForm?.addEventListener("submit", e => {
+  e.preventDefault();
+  runSearch(searchInput?.value);
+});
+searchInput?.addEventListener("search", () => {
+  // native clear (✕) on type=search
+  if (!searchInput.value && searchQuery) clearSearch();
+});
+searchClearBtn?.addEventListener("click", clearSearch);
+newStoriesPill?.addEventListener("click", showIncoming);
+newsContainer?.addEventListener("click", e => {
+  const btn = e.target.closest?.(".bookmark-btn");
+  if (btn) toggleBookmark(btn.dataset.id);
+});
+// /img/:id failed (e.g. a bookmark whose article left the archive) → the
+// publisher's original; error doesn't bubble, so listen while capturing
+newsContainer?.addEventListener("error", e => {
+  const img = e.target;
+  if (img?.tagName !== "IMG" || !img.dataset.fallback) return;
+  const fallback = img.dataset.fallback;
+  delete img.dataset.fallback; // once: a dead original stays broken
+  img.removeAttribute("srcset");
+  img.src = fallback;
+}, true);
+signOutBtn?.addEventListener("click", async () => {
+  await flushReads();
+  await fetch("/auth/logout", { method: "POST" }).catch(() => {});
+  location.reload();
+});
+window.addEventListener("pagehide", () => { flushReads(); });
+window.addEventListener("online", () => {
+  flushReads();
+  syncBookmarks();
+});
 
 window.addEventListener("keydown", e => {
+  // arrows inside form controls (topic picker) belong to the control
+  if (e.target.closest?.("input, select, textarea")) return;
   if (e.key === "ArrowLeft") handlePrev();
   if (e.key === "ArrowRight") handleNext();
+  if (e.key === "b" && snapshotIds[idx] && !atEnd) toggleBookmark(snapshotIds[idx]);
 });
 
 /* ---------- Touch Swipe Navigation ---------- */
@@ -362,10 +877,14 @@ window.addEventListener("touchend", e => {
 /* ---------- Boot ---------- */
 document.addEventListener("DOMContentLoaded", async () => {
   updateScopeUI();
+  registerServiceWorker();
   showLoading();
   try {
     await buildSnapshot();
     showAtIndex(0);
+    warmImageCache();
+    flushReads(); // marks queued during an earlier offline session
+    if (!archiveDate) connectStream();
   } catch (e) {
     newsContainer.innerHTML = `
       <div class="news-card">
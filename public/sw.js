@@ -0,0 +1,156 @@
+/* ============================================================
+   NewsInkB Service Worker
+   ------------------------------------------------------------
+   Responsibilities:
+   - Precache the app shell (page, themes, scripts, logo)
+   - Home page: network first; only the anonymous shell is kept
+     (no-store / private responses are never cached), and it is
+     the offline fallback for other public pages
+   - /admin* and /auth* pages → network only, never cached
+   - Article API (/news, /archive JSON): network first, last
+     good response when offline
+   - Article images (/img proxy or hotlinked): cache first, refreshed by the page after
+     each snapshot ("cache-images" message), size-capped
+   - Everything else (auth, /me, bookmarks, SSE) → network only
+   ============================================================ */
+
+/* ---------- Config ---------- */
+const VERSION = "v3";
+const SHELL_CACHE = `shell-${VERSION}`;
+const API_CACHE   = `api-${VERSION}`;
+const IMAGE_CACHE = `images-${VERSION}`;
+const KNOWN_CACHES = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+
+const MAX_API_ENTRIES   = 60;
+const MAX_IMAGE_ENTRIES = 150;
+
+const SHELL = [
+  "/",
+  "/css/glass.css",
+  "/css/grey.css",
+  "/css/peach.css",
+  "/css/blue.css",
+  "/script/script.js",
+  "/script/theme-switcher.js",
+  "/logo.png",
+  "/manifest.webmanifest",
+];
+
+// signed-in / one-off pages: never cached, never served from the shell
+const PRIVATE_PAGES = /^\/(?:admin|auth)(?:\/|$)/;
+
+/* ---------- Helpers ---------- */
+// responses the server marked per-user or uncacheable stay out of Cache Storage
+function cacheable(res) {
+  const cc = (res.headers.get("Cache-Control") || "").toLowerCase();
+  return res.ok && !res.redirected && !/no-store|private/.test(cc);
+}
+
+// drop the oldest entries (Cache Storage keeps insertion order)
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (cacheable(res)) {
+      await cache.put(request, res.clone());
+      if (cacheName === API_CACHE) trimCache(API_CACHE, MAX_API_ENTRIES);
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request)
+      || (fallbackUrl && await caches.match(fallbackUrl));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirstImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const hit = await cache.match(request.url);
+  if (hit) return hit;
+  const res = await fetch(request);
+  // cross-origin hotlinks come back opaque (status 0); still displayable
+  if (res.ok || res.type === "opaque") {
+    await cache.put(request.url, res.clone());
+    trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES);
+  }
+  return res;
+}
+
+// warm the image cache for the cards the reader is about to see
+async function cacheImages(urls = []) {
+  const cache = await caches.open(IMAGE_CACHE);
+  for (const url of urls.slice(0, MAX_IMAGE_ENTRIES)) {
+    if (await cache.match(url)) continue;
+    try {
+      const res = await fetch(url, { mode: "no-cors" });
+      if (res.ok || res.type === "opaque") await cache.put(url, res);
+    } catch { /* offline or blocked → skip */ }
+  }
+  await trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES);
+}
+
+/* ---------- Lifecycle ---------- */
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // without cookies: the cached "/" must be the anonymous page
+      .then(cache => cache.addAll(SHELL.map(path => new Request(path, { credentials: "omit" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => !KNOWN_CACHES.includes(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ---------- Fetch Routing ---------- */
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // page loads: only the bare home page is cached; other pages
+  // fall back to it offline, except admin / auth which go to the network
+  if (request.mode === "navigate") {
+    if (url.origin !== location.origin || PRIVATE_PAGES.test(url.pathname)) return;
+    if (url.pathname === "/" && !url.search) {
+      event.respondWith(networkFirst(request, SHELL_CACHE, "/"));
+    } else {
+      event.respondWith(fetch(request).catch(() => caches.match("/").then(hit => hit || Response.error())));
+    }
+    return;
+  }
+
+  if (url.origin === location.origin) {
+    if (url.pathname === "/news" || url.pathname === "/archive") {
+      event.respondWith(networkFirst(request, API_CACHE));
+    } else if (url.pathname.startsWith("/img/")) {
+      event.respondWith(cacheFirstImage(request));
+    } else if (SHELL.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+    // anything else same-origin (stream, auth, /me, bookmarks…) → network
+    return;
+  }
+
+  if (request.destination === "image") {
+    event.respondWith(cacheFirstImage(request));
+  }
+});
+
+/* ---------- Messages from the page ---------- */
+self.addEventListener("message", event => {
+  const msg = event.data || {};
+  if (msg.type === "cache-images") event.waitUntil(cacheImages(msg.urls));
+});
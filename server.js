@@ -1,19 +1,40 @@
 // server.js
+// first: modules read their env tunables (retention, word limits…) when loaded
+require('dotenv').config();
+
 const express = require('express');
-const dotenv = require('dotenv');
 const path = require('path');
 const mongoose = require('mongoose');
 
 const pageRoute = require('./src/routes/pageRoute');
 const newsRoute = require('./src/routes/newsRoute');
+const searchRoute = require('./src/routes/searchRoute');
+const streamRoute = require('./src/routes/streamRoute');
+const archiveRoute = require('./src/routes/archiveRoute');
+const syndicationRoute = require('./src/routes/syndicationRoute');
+const authRoute = require('./src/routes/authRoute');
+const meRoute = require('./src/routes/meRoute');
+const bookmarkRoute = require('./src/routes/bookmarkRoute');
+const imageRoute = require('./src/routes/imageRoute');
+const { loadUser } = require('./src/middleware/userAuth');
+const adminAuth = require('./src/middleware/adminAuth');
+const feedRoute = require('./src/routes/feedRoute');
+const queueRoute = require('./src/routes/queueRoute');
+const runRoute = require('./src/routes/runRoute');
+const adminRoute = require('./src/routes/adminRoute');
 const fetchAndStoreNews = require('./src/jobs/newsJob');
-
-dotenv.config();
+const archiveExpiredArticles = require('./src/jobs/archiveJob');
+const { checkMailer } = require('./src/services/mailer');
+const { prepareIndexes } = require('./src/services/dbIndexes');
 
 /* ------------ env & config ------------ */
 const PORT = Number(process.env.PORT) || 4000;
 const MONGODB_URI = process.env.MONGODB_URI;
 const NEWS_INTERVAL_MIN = Math.max(5, Number(process.env.NEWS_INTERVAL_MIN || 60)); // min 5 min
+const ARCHIVE_INTERVAL_MIN = Math.max(1, Number(process.env.ARCHIVE_INTERVAL_MIN || 10));
+// which process type schedules ingestion: web | worker | both | none
+const SCHEDULER_ROLE = (process.env.SCHEDULER_ROLE || 'both').toLowerCase();
+const SCHEDULES_HERE = SCHEDULER_ROLE === 'web' || SCHEDULER_ROLE === 'both';
 
 if (!MONGODB_URI) {
   console.error('Missing MONGODB_URI in .env');
@@ -23,16 +44,29 @@ if (!MONGODB_URI) {
 /* ------------ express app ------------ */
 const app = express();
 app.disable('x-powered-by');
+// behind a reverse proxy: hop count / subnet to trust, so req.ip (rate limits) is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(express.json({ limit: '200kb' }));
 
 // Static files (+ mild caching for assets)
 app.use(express.static(path.join(__dirname, 'public'), {
   setHeaders(res, filePath) {
+    // the service worker must always be revalidated so updates roll out
+    if (path.basename(filePath) === 'sw.js') {
+      res.setHeader('Cache-Control', 'no-cache');
+      return;
+    }
     // cache only hashed/static assets if you add them later; for now small cache
     res.setHeader('Cache-Control', 'public, max-age=300');
   }
 }));
 
+// Session cookie → req.user (after static files: assets stay DB-free)
+app.use(loadUser);
+
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -45,6 +79,19 @@ app.get('/healthz', (req, res) => {
 /* ------------ routes ------------ */
 app.use('/', pageRoute);
 app.use('/', newsRoute);
+app.use('/', searchRoute);
+app.use('/', streamRoute); // /news/stream (SSE)
+app.use('/', archiveRoute); // /archive?date= (page + JSON)
+app.use('/', syndicationRoute); // /feed.xml, /atom.xml, /feed.json
+app.use('/', authRoute);   // /login, /auth/* (optional accounts)
+app.use('/', meRoute);     // /me, /me/read (signed in)
+app.use('/', bookmarkRoute); // /bookmarks (signed in)
+app.use('/', imageRoute);  // /img/:id (image proxy)
+app.use('/admin', adminAuth); // once for every /admin route below
+app.use('/', feedRoute);   // /admin/feeds (ADMIN_TOKEN)
+app.use('/', queueRoute);  // /admin/queue (ADMIN_TOKEN)
+app.use('/', runRoute);    // /admin/runs (ADMIN_TOKEN)
+app.use('/', adminRoute);  // /admin dashboard (ADMIN_TOKEN as Basic password)
 
 // Centralized error handler (last)
 app.use((err, _req, res, _next) => {
@@ -54,13 +101,28 @@ app.use((err, _req, res, _next) => {
 
 /* ------------ job scheduling ------------ */
 let jobTimer = null;
+let archiveTimer = null;
+function runArchive() {
+  archiveExpiredArticles().catch(e => console.error('Archive job failed:', e?.message || e));
+}
 function scheduleJob() {
   clearInterval(jobTimer);
-  jobTimer = setInterval(fetchAndStoreNews, NEWS_INTERVAL_MIN * 60 * 1000);
+  jobTimer = setInterval(() => {
+    fetchAndStoreNews().catch(e => console.error('News job failed:', e?.message || e));
+  }, NEWS_INTERVAL_MIN * 60 * 1000);
+
+  // expired articles → archive (replaces the old 24h TTL delete)
+  clearInterval(archiveTimer);
+  archiveTimer = setInterval(runArchive, ARCHIVE_INTERVAL_MIN * 60 * 1000);
 }
 
 // Run an initial job safely (after DB ready) then schedule
 async function startJobs() {
+  if (!SCHEDULES_HERE) {
+    console.log(`Ingestion scheduling owned by "${SCHEDULER_ROLE}" (SCHEDULER_ROLE) → not scheduling here`);
+    return;
+  }
+  runArchive();
   try {
     await fetchAndStoreNews();
   } catch (e) {
@@ -70,9 +132,16 @@ async function startJobs() {
 }
 
 /* ------------ DB & server start ------------ */
-mongoose.connect(MONGODB_URI)
-  .then(() => {
+// indexes are built by prepareIndexes (legacy TTL index dropped first)
+mongoose.connect(MONGODB_URI, { autoIndex: false })
+  .then(async () => {
     console.log('Connected to MongoDB');
+    try {
+      await prepareIndexes();
+    } catch (e) {
+      console.error('Index setup failed:', e?.message || e);
+    }
+    checkMailer();
     // start HTTP server only after DB is ready
     const server = app.listen(PORT, () => {
       console.log(`Server listening on ${PORT}`);
@@ -85,6 +154,7 @@ mongoose.connect(MONGODB_URI)
     const shutdown = async (sig) => {
       console.log(`\n${sig} received. Shutting down...`);
       clearInterval(jobTimer);
+      clearInterval(archiveTimer);
       server.close(async () => {
         try { await mongoose.connection.close(); } catch {}
         process.exit(0);
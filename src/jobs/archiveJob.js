@@ -0,0 +1,75 @@
+/* ============================================================
+   /src/jobs/archiveJob.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Move articles past the retention window (ARTICLE_RETENTION_HOURS)
+     from the live collection into the archive, in batches
+   - Idempotent: copy first (duplicates ignored), then delete, so a
+     crash mid-batch never loses an article
+   - Leave a tombstone per moved article so since= deltas tell
+     cached clients which ids to drop
+   - Hold a MongoDB lease so only one process sweeps at a time
+   ============================================================ */
+
+const Article = require('../models/article');
+const ArchivedArticle = require('../models/archivedArticle');
+const Tombstone = require('../models/tombstone');
+const { withLease } = require('../services/leaseLock');
+
+/* ---------- Tunables ---------- */
+const BATCH_SIZE = 500;
+const LOCK_NAME  = 'article-archive';
+
+/* ---------- Sweep ---------- */
+async function archiveBatch(cutoff) {
+  const docs = await Article.find({ createdAt: { $lt: cutoff } })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  if (!docs.length) return 0;
+
+  const archivedAt = new Date();
+  try {
+    await ArchivedArticle.insertMany(
+      docs.map(d => ({ ...d, archivedAt })),
+      { ordered: false }
+    );
+  } catch (err) {
+    // already archived by an earlier, interrupted sweep → fine
+    const writeErrors = err?.writeErrors || [];
+    const dupOnly = writeErrors.length
+      ? writeErrors.every(e => e.code === 11000)
+      : err?.code === 11000;
+    if (!dupOnly) throw err;
+  }
+
+  const ids = docs.map(d => d._id);
+  await Tombstone.record(ids, 'archived');
+  await Article.deleteMany({ _id: { $in: ids } });
+  return docs.length;
+}
+
+// the old 24h TTL index is dropped at boot (see dbIndexes)
+async function sweep(signal) {
+  const cutoff = new Date(Date.now() - Article.RETENTION_SECONDS * 1000);
+  let moved = 0;
+  for (;;) {
+    signal?.throwIfAborted(); // lease lost → leave the rest to the new holder
+    const n = await archiveBatch(cutoff);
+    moved += n;
+    if (n < BATCH_SIZE) break;
+  }
+  if (moved) console.log(`Archived ${moved} article(s) older than ${cutoff.toISOString()}`);
+  return moved;
+}
+
+/* ---------- Entrypoint ---------- */
+// Resolves to the number of articles moved, or false if another process
+// holds the archive lease
+async function archiveExpiredArticles() {
+  const { acquired, result } = await withLease(LOCK_NAME, sweep);
+  if (!acquired) console.log('Archive sweep skipped: another process is archiving');
+  return acquired ? result : false;
+}
+
+module.exports = archiveExpiredArticles;
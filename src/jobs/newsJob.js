@@ -2,31 +2,55 @@
    /src/jobs/newsJob.js
    ------------------------------------------------------------
    Responsibilities:
-   - Fetch articles from RSS feeds
-   - Scrape full content + image from article links
-   - Summarize content using LLM
+   - Fetch articles from RSS feeds into the durable ingestion queue
+   - Scrape full content + image from article links (AMP / feed body
+     fallback for thin pages)
+   - Verify image candidates (type, size, placeholder/logo hashes)
+   - Summarize content (LLM providers, offline extractive fallback)
+   - Detect article language; summarize per the feed's language setting
+   - Reject summaries that fail the quality gate (counted per reason)
+   - Assign each article to a cross-source story cluster
+   - Tag each article with topic categories
    - Save clean articles to MongoDB
-   - Handle duplicates, short content, and errors gracefully
+   - Handle duplicates (by canonical URL), short content, and errors gracefully
+   - Skip links robots.txt disallows (own skip reason in the run stats)
+   - Retry transient failures across runs (see ingestQueue)
+   - Persist every run's stats as a JobRun document
+   - Hold a MongoDB lease so only one process ingests at a time
    ============================================================ */
 
 const fetchRSSArticles = require('../services/rssFetcher');
 const extractContentFromLink = require('../services/scraper');
-const summarizeContent = require('../services/summarizer');
+const { summarizeContent, translateText } = require('../services/summarizer');
+const { detectLanguage } = require('../services/langDetect');
+const assignStory = require('../services/clusterer');
+const { classifyArticle } = require('../services/classifier');
+const ingestQueue = require('../services/ingestQueue');
+const { withLease, isHeldHere, liveHolder } = require('../services/leaseLock');
+const { announce } = require('../services/articleEvents');
+const { chooseImage } = require('../services/imagePipeline');
 const Article = require('../models/article');
+const ArchivedArticle = require('../models/archivedArticle');
+const JobRun = require('../models/jobRun');
+
+// scraped content must be at least this long (the scraper's fallback threshold)
+const { MIN_CONTENT_LEN } = extractContentFromLink;
 
 /* ---------- Tunables ---------- */
-const MIN_CONTENT_LEN = 200;   // scraped content must be at least this long
 const CONCURRENCY     = 5;     // how many articles to process in parallel
+const LOCK_NAME       = 'news-ingest'; // lease shared by web + worker processes
 
 /* ---------- Helper: Process with Concurrency ---------- */
 // processes a list of items with a concurrency cap
-async function processWithConcurrency(items, worker, concurrency = 5) {
+// (an aborted signal stops new items from starting; running ones finish)
+async function processWithConcurrency(items, worker, concurrency = 5, signal) {
   const queue = [...items];
   let active = 0;
   const results = [];
 
   return new Promise((resolve) => {
     const next = () => {
+      if (signal?.aborted) queue.length = 0;
       if (queue.length === 0 && active === 0) return resolve(results);
       while (active < concurrency && queue.length) {
         const item = queue.shift();
@@ -56,84 +80,349 @@ function sourceFromURL(u = '') {
   }
 }
 
+/* ---------- Helper: Known Story ---------- */
+// canonical link already published (live or archived)
+async function isKnownLink(link) {
+  return Boolean(await Article.exists({ link }) || await ArchivedArticle.exists({ link }));
+}
+
 /* ---------- Handle One Article ---------- */
-async function handleOneArticle(article) {
+// Moves one queue item as far through the pipeline as it can go:
+// discovered → scraped → summarized → published (or failed / retry / dead)
+async function handleOneArticle(item) {
   const t0 = Date.now();
+  let quality = []; // quality-gate rejection reasons seen on the way
   try {
     // basic guards
-    if (!article?.link || !article?.title) return { skipped: 'missing_fields' };
+    if (!item?.link || !item?.title) {
+      await ingestQueue.reject(item, 'missing_fields');
+      return { skipped: 'missing_fields' };
+    }
 
-    // check duplicate (fast path)
-    const existing = await Article.findOne({ link: article.link }).select('_id').lean();
-    if (existing) return { skipped: 'duplicate' };
+    // check duplicate (fast path); archived articles count too
+    if (await isKnownLink(item.canonicalUrl || item.link)) {
+      await ingestQueue.reject(item, 'duplicate');
+      return { skipped: 'duplicate' };
+    }
 
     // scrape
-    const { content, image } = await extractContentFromLink(article.link);
-    if (!content || content.length < MIN_CONTENT_LEN) return { skipped: 'short_content' };
+    if (item.state === 'discovered') {
+      const { content, images, strategy, canonicalUrl, error, retryable, retryAfterMs } =
+        await extractContentFromLink(item.feedLink || item.link, { feedContent: item.feedContent });
+      if (strategy === 'disallowed') {
+        await ingestQueue.reject(item, 'disallowed', error);
+        return { skipped: 'disallowed' };
+      }
+      if (strategy === 'error' && retryable) return retryResult(item, 'scrape_error', error, retryAfterMs);
+      if (!content || content.length < MIN_CONTENT_LEN) {
+        await ingestQueue.reject(item, 'short_content', error);
+        return { skipped: 'short_content' };
+      }
+      // the page's own canonical may reveal a story we already have
+      // (AMP / mobile / redirector link, or another feed's variant)
+      if (canonicalUrl && canonicalUrl !== item.link && await isKnownLink(canonicalUrl)) {
+        await ingestQueue.reject(item, 'duplicate', `canonical ${canonicalUrl}`);
+        return { skipped: 'duplicate' };
+      }
+      const sourceLang = detectLanguage(content);
+      const { image, imageWidth = null, imageHeight = null, imageHash = '' } = await chooseImage(images);
+      item = await ingestQueue.advance(item, 'scraped', {
+        content, image, imageWidth, imageHeight, imageHash, strategy, sourceLang,
+        canonicalUrl: canonicalUrl || item.link
+      });
+    }
 
-    // summarize
-    const summary = await summarizeContent(content);
-    if (!summary || summary.length < 10) return { skipped: 'bad_summary' };
+    // summarize + quality gate
+    // empty with rejections → every candidate failed validation (reject);
+    // empty without        → every model failed / rate-limited (transient)
+    if (item.state === 'scraped') {
+      const out = await summarizeStage(item);
+      quality = out.quality;
+      if (out.failed?.rejections.length) {
+        const { rejections } = out.failed;
+        const reason = `summary_${rejections[rejections.length - 1].reason}`;
+        await ingestQueue.reject(item, reason, JSON.stringify(rejections));
+        return { skipped: reason, quality };
+      }
+      if (out.failed) return { ...(await retryResult(item, 'summarize_error', 'summarizer returned nothing')), quality };
+      item = await ingestQueue.advance(item, 'summarized', out.fields);
+    }
 
     // source fallback
-    const source = article.source || sourceFromURL(article.link);
+    const source = item.source || sourceFromURL(item.link);
+
+    // cluster with recent coverage of the same event
+    const { storyId, fingerprint } = await assignStory({ title: item.title, content: item.content || item.summary });
+
+    // topic categories (feed hints + keywords / LLM)
+    const categories = await classifyArticle({
+      title: item.title,
+      content: item.content || item.summary,
+      hints: item.categoryHints
+    });
 
     // persist
+    let saved;
     try {
-      await Article.create({
-        title: article.title,
-        summary,
-        link: article.link,
+      saved = await Article.create({
+        title: item.translatedTitle || item.title,
+        summary: item.summary,
+        lang: item.lang || item.sourceLang || 'en',
+        sourceLang: item.sourceLang || 'en',
+        translations: item.translations?.length ? item.translations : undefined,
+        link: item.canonicalUrl || item.link,
+        feedLink: item.feedLink || undefined,
         source,
-        pubDate: article.pubDate || null,
-        image: image || ''
+        pubDate: item.pubDate || null,
+        image: item.image || '',
+        imageWidth: item.imageWidth || undefined,
+        imageHeight: item.imageHeight || undefined,
+        imageHash: item.imageHash || undefined,
+        summarizer: item.summarizer,
+        categories,
+        storyId,
+        fingerprint
       });
     } catch (e) {
-      if (e && e.code === 11000) return { skipped: 'duplicate_race' }; // race condition duplicate
+      if (e && e.code === 11000) { // race condition duplicate
+        await ingestQueue.reject(item, 'duplicate_race');
+        return { skipped: 'duplicate_race' };
+      }
       throw e;
     }
+    await ingestQueue.publish(item);
+    announce(saved); // live push to /news/stream in this process
 
-    console.log(`Saved: "${article.title}" in ${Math.round(Date.now() - t0)}ms`);
-    return { saved: true };
+    console.log(`Saved: "${item.title}" in ${Math.round(Date.now() - t0)}ms (extract: ${item.strategy}, summary: ${item.summarizer?.provider}/${item.summarizer?.model})`);
+    return { saved: true, quality };
   } catch (err) {
-    console.error(`Error processing "${article?.title || article?.link}": ${err.message}`);
-    return { error: true };
+    console.error(`Error processing "${item?.title || item?.link}": ${err.message}`);
+    try {
+      return { ...(await retryResult(item, 'error', err)), error: true };
+    } catch (e) {
+      console.error(`Could not schedule retry for "${item?.link}": ${e.message}`);
+      return { error: true, message: err.message };
+    }
+  }
+}
+
+/* ---------- Summarize Stage ---------- */
+// Summary in the feed's chosen language, plus an English edition for "both".
+// Resolves { fields, quality } or { failed, quality } (failed = summarizer result).
+async function summarizeStage(item) {
+  const sourceLang = item.sourceLang || 'en';
+  const mode = item.summaryLanguage || 'source';
+  const lang = mode === 'en' ? 'en' : sourceLang;
+
+  const primary = await summarizeContent(item.content, { lang, sourceLang });
+  const quality = primary.rejections.map(r => r.reason);
+  if (!primary.summary) return { failed: primary, quality };
+
+  const fields = {
+    summary: primary.summary,
+    summarizer: { provider: primary.provider, model: primary.model },
+    lang,
+    translatedTitle: lang !== sourceLang ? await translateText(item.title, lang) : '',
+    translations: []
+  };
+
+  // extra English edition is best-effort: the article still publishes without it
+  if (mode === 'both' && sourceLang !== 'en') {
+    const en = await summarizeContent(item.content, { lang: 'en', sourceLang });
+    quality.push(...en.rejections.map(r => r.reason));
+    const title = en.summary ? await translateText(item.title, 'en') : '';
+    if (title) fields.translations.push({ lang: 'en', title, summary: en.summary });
+  }
+
+  return { fields, quality };
+}
+
+// schedule a retry (or dead-letter) and report it for the run stats
+async function retryResult(item, reason, err, minDelayMs) {
+  const outcome = await ingestQueue.retry(item, reason, err, minDelayMs);
+  const message = String(err?.message || err || '');
+  return outcome === 'dead' ? { dead: reason, message } : { retry: reason, message };
+}
+
+/* ---------- Run History ---------- */
+// per-article entry for the JobRun document
+function articleStat(item, r, ms) {
+  const outcome =
+    r?.saved ? 'saved' :
+    r?.skipped ? 'skipped' :
+    r?.retry ? 'retry' :
+    r?.dead ? 'dead' : 'error';
+  return {
+    link: item.link,
+    title: item.title,
+    outcome,
+    reason: r?.skipped || r?.retry || r?.dead || '',
+    ms,
+    error: r?.message || ''
+  };
+}
+
+// never let run bookkeeping break the run itself
+async function saveRun(run) {
+  try {
+    await run.save();
+  } catch (e) {
+    console.error('Could not persist job run:', e.message);
+  }
+}
+
+/* ---------- Pipeline Run ---------- */
+// New feed items are added to the ingestion queue, then every due queue
+// item (new ones and earlier transient failures) is processed.
+// signal: aborts when the ingestion lease is lost (another process may be running).
+async function runPipeline(mode, signal) {
+  const run = new JobRun({ mode, startedAt: new Date() });
+  await saveRun(run);
+
+  try {
+    // fetch list of candidate articles according to mode
+    const feedStats = [];
+    const articles = await fetchRSSArticles(mode, feedStats);
+    run.feeds = feedStats;
+    if (!Array.isArray(articles) || articles.length === 0) {
+      console.warn('No articles fetched from RSS.');
+    }
+
+    signal?.throwIfAborted();
+    // durable hand-off: candidates survive crashes and failed runs
+    const discovered = await ingestQueue.enqueue(articles || []);
+    run.discovered = discovered;
+    const items = await ingestQueue.dueItems();
+
+    // process with a small concurrency cap (timed per article)
+    const results = await processWithConcurrency(items, async (item) => {
+      const t0 = Date.now();
+      const r = await handleOneArticle(item);
+      return { ...r, stat: articleStat(item, r, Date.now() - t0) };
+    }, CONCURRENCY, signal);
+    signal?.throwIfAborted(); // run is recorded as failed
+
+    // quick summary
+    const stats = results.reduce(
+      (acc, r) => {
+        for (const q of r?.quality || []) acc.qualityRejects[q] = (acc.qualityRejects[q] || 0) + 1;
+        if (r?.saved) acc.saved++;
+        else if (r?.skipped) acc.skipped[r.skipped] = (acc.skipped[r.skipped] || 0) + 1;
+        else if (r?.retry) acc.retrying++;
+        else if (r?.dead) acc.dead++;
+        if (r?.error) acc.errors++; // unexpected exceptions (also retried)
+        return acc;
+      },
+      { saved: 0, errors: 0, retrying: 0, dead: 0, skipped: {}, qualityRejects: {} }
+    );
+
+    run.set({
+      saved: stats.saved,
+      errorCount: stats.errors,
+      retrying: stats.retrying,
+      dead: stats.dead,
+      skipped: stats.skipped,
+      qualityRejects: stats.qualityRejects,
+      processed: results.length,
+      articles: results.map(r => r?.stat).filter(Boolean),
+      errorMessages: [
+        ...feedStats.filter(f => f.error).map(f => `${f.url}: ${f.error}`),
+        ...results.filter(r => r?.message).map(r => `${r.stat?.link}: ${r.message}`)
+      ]
+    });
+
+    console.log(
+      `Job done (${mode}): discovered=${discovered}, saved=${stats.saved}, errors=${stats.errors}, ` +
+      `retrying=${stats.retrying}, dead=${stats.dead}, skipped=${JSON.stringify(stats.skipped)}, ` +
+      `qualityRejects=${JSON.stringify(stats.qualityRejects)}`
+    );
+    run.status = 'done';
+  } catch (err) {
+    run.status = 'failed';
+    run.errorMessages.push(String(err?.message || err));
+    throw err;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await saveRun(run);
   }
 }
 
 /* ---------- Main Job: Fetch + Store News ---------- */
 /**
- * Run the pipeline once.
- * @param {'initial'|'recurring'} mode - controls how many items to sample per feed.
- *   - 'initial'  → random 10 from latest 100 per feed (first fill)
- *   - 'recurring'→ random 3–4 from latest 50 per feed (ongoing)
+ * Run the pipeline once, under the cluster-wide ingestion lease.
+ * Processes that can't get the lease (another run in progress) skip.
+ * @param {'initial'|'recurring'} mode - controls which items are taken per feed.
+ *   - 'initial'  → newest 10 from latest 100 per feed (first fill)
+ *   - 'recurring'→ every item new since the last run, capped per feed (ongoing)
+ * @returns {Promise<boolean>} false if the run was skipped (lease held elsewhere)
  */
 async function fetchAndStoreNews(mode = 'recurring') {
-  // fetch list of candidate articles according to mode
-  const articles = await fetchRSSArticles(mode);
-  if (!Array.isArray(articles) || articles.length === 0) {
-    console.warn('No articles fetched from RSS.');
-    return;
+  const { acquired } = await withLease(LOCK_NAME, signal => runPipeline(mode, signal));
+  if (!acquired) console.log(`Job skipped (${mode}): another process is ingesting`);
+  return acquired;
+}
+
+/* ---------- Admin: Run State ---------- */
+// 'here' (this process is ingesting), 'elsewhere' (another process holds
+// the lease) or null (idle)
+async function runState() {
+  if (isHeldHere(LOCK_NAME)) return 'here';
+  return (await liveHolder(LOCK_NAME)) ? 'elsewhere' : null;
+}
+
+/* ---------- Admin: Reprocess One Article ---------- */
+/**
+ * Re-scrape a published article and replace its summary (admin dashboard).
+ * Content isn't stored, so both modes fetch the page again; 'scrape' also
+ * re-picks the image, 'summary' keeps the current one.
+ * @param {string} id - Article _id
+ * @param {'scrape'|'summary'} what
+ * @returns {Promise<object|null>} updated article, null if not found
+ */
+async function reprocessArticle(id, what = 'summary') {
+  const article = await Article.findById(id).lean();
+  if (!article) return null;
+
+  const { content, images, strategy, error } = await extractContentFromLink(article.feedLink || article.link);
+  if (!content || content.length < MIN_CONTENT_LEN) {
+    throw new Error(`scrape gave too little text (${strategy}${error ? `: ${error}` : ''})`);
   }
 
-  // process with a small concurrency cap
-  const results = await processWithConcurrency(articles, handleOneArticle, CONCURRENCY);
-
-  // quick summary
-  const stats = results.reduce(
-    (acc, r) => {
-      if (r?.saved) acc.saved++;
-      else if (r?.skipped) acc.skipped[r.skipped] = (acc.skipped[r.skipped] || 0) + 1;
-      else if (r?.error) acc.errors++;
-      return acc;
-    },
-    { saved: 0, errors: 0, skipped: {} }
-  );
-
-  console.log(
-    `Job done (${mode}): saved=${stats.saved}, errors=${stats.errors}, skipped=${JSON.stringify(stats.skipped)}`
-  );
+  const sourceLang = detectLanguage(content);
+  const english = article.translations?.find(t => t.lang === 'en');
+  // the feed setting isn't on the article; recover it from what was published
+  const summaryLanguage = english ? 'both' : article.lang !== article.sourceLang ? 'en' : 'source';
+  const { fields, failed } = await summarizeStage({ content, title: article.title, sourceLang, summaryLanguage });
+  if (failed) {
+    const last = failed.rejections[failed.rejections.length - 1];
+    throw new Error(`summary rejected (${last?.reason || 'summarizer returned nothing'})`);
+  }
+
+  const set = {
+    summary: fields.summary,
+    summarizer: fields.summarizer,
+    lang: fields.lang,
+    sourceLang,
+    translations: fields.translations.length ? fields.translations : undefined
+  };
+  if (what === 'scrape') {
+    const picked = await chooseImage(images);
+    Object.assign(set, {
+      image: picked.image,
+      imageWidth: picked.imageWidth,
+      imageHeight: picked.imageHeight,
+      imageHash: picked.imageHash
+    });
+  }
+  console.log(`Reprocessed (${what}): "${article.title}" (extract: ${strategy}, summary: ${set.summarizer.provider}/${set.summarizer.model})`);
+  // fields that came back empty are cleared, not left stale
+  const unset = Object.fromEntries(Object.keys(set).filter(k => set[k] === undefined).map(k => [k, '']));
+  for (const k of Object.keys(unset)) delete set[k];
+  return Article.findByIdAndUpdate(id, { $set: set, $unset: unset }, { new: true, runValidators: true }).lean();
 }
 
 /* ---------- Exports ---------- */
 module.exports = fetchAndStoreNews;
+module.exports.reprocessArticle = reprocessArticle;
+module.exports.runState = runState;
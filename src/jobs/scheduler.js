@@ -5,7 +5,10 @@
    - Connects to MongoDB
    - Runs an "initial" fill once (only if DB is basically empty)
    - Then runs the news job on a fixed schedule (recurring)
+   - Moves articles past the retention window into the archive
    - Keeps process alive on Railway as a Worker service
+   - Only schedules when SCHEDULER_ROLE is "worker" or "both";
+     each run takes the shared ingestion lease (see newsJob)
    ============================================================ */
 
 require('dotenv').config();
@@ -13,12 +16,17 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const cron = require('node-cron');
 const fetchAndStoreNews = require('./newsJob');
+const archiveExpiredArticles = require('./archiveJob');
 const Article = require('../models/article');
+const { prepareIndexes } = require('../services/dbIndexes');
 
 /* ---------- Tunables ---------- */
 // default: every 30 minutes (use "*/60 * * * *" for hourly)
 const CRON_EXPR = process.env.NEWS_CRON || '*/30 * * * *';
 
+// archive sweep: every 10 minutes
+const ARCHIVE_CRON_EXPR = process.env.ARCHIVE_CRON || '*/10 * * * *';
+
 // threshold to decide if we should run the "initial" mode on boot
 // if your DB has less than this many articles, we'll do an initial fill
 const INITIAL_THRESHOLD = Number(process.env.INITIAL_THRESHOLD || 10);
@@ -27,16 +35,30 @@ const INITIAL_THRESHOLD = Number(process.env.INITIAL_THRESHOLD || 10);
 const MONGODB_URI = process.env.MONGO_URI;
 const MONGO_DB  = process.env.MONGO_DB || undefined;
 
+// which process type schedules ingestion: web | worker | both | none
+const SCHEDULER_ROLE = (process.env.SCHEDULER_ROLE || 'both').toLowerCase();
+
 /* ---------- Startup ---------- */
 (async function boot() {
   try {
+    if (SCHEDULER_ROLE !== 'worker' && SCHEDULER_ROLE !== 'both') {
+      console.log(`[scheduler] SCHEDULER_ROLE="${SCHEDULER_ROLE}" → worker does not schedule. Exiting.`);
+      process.exit(0);
+    }
+
     if (!MONGODB_URI) {
       console.error('[scheduler] Missing MONGO_URI env var. Exiting.');
       process.exit(1);
     }
 
-    await mongoose.connect(MONGODB_URI, { dbName: MONGO_DB });
+    // indexes are built by prepareIndexes (legacy TTL index dropped first)
+    await mongoose.connect(MONGODB_URI, { dbName: MONGO_DB, autoIndex: false });
     console.log('[scheduler] Mongo connected');
+    try {
+      await prepareIndexes();
+    } catch (e) {
+      console.error('[scheduler] index setup failed:', e?.message || e);
+    }
 
     // Decide if we should run "initial" or not
     let count = 0;
@@ -62,6 +84,10 @@ const MONGO_DB  = process.env.MONGO_DB || undefined;
       console.error(`[scheduler] Invalid CRON expression "${CRON_EXPR}". Use NEWS_CRON env to set a valid one.`);
       process.exit(1);
     }
+    if (!cron.validate(ARCHIVE_CRON_EXPR)) {
+      console.error(`[scheduler] Invalid CRON expression "${ARCHIVE_CRON_EXPR}". Use ARCHIVE_CRON env to set a valid one.`);
+      process.exit(1);
+    }
 
     cron.schedule(CRON_EXPR, async () => {
       try {
@@ -72,7 +98,15 @@ const MONGO_DB  = process.env.MONGO_DB || undefined;
       }
     });
 
-    console.log(`[scheduler] up and scheduling with CRON="${CRON_EXPR}"`);
+    cron.schedule(ARCHIVE_CRON_EXPR, async () => {
+      try {
+        await archiveExpiredArticles();
+      } catch (e) {
+        console.error('[scheduler] archive run failed:', e?.message || e);
+      }
+    });
+
+    console.log(`[scheduler] up and scheduling with CRON="${CRON_EXPR}" (archive: "${ARCHIVE_CRON_EXPR}")`);
 
     // keep process alive (cron does this anyway, but guards are nice)
   } catch (err) {
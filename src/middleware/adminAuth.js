@@ -0,0 +1,91 @@
+/* ============================================================
+   /src/middleware/adminAuth.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Guard /admin routes with a shared secret (ADMIN_TOKEN)
+   - Accept "Authorization: Bearer <token>" (API clients) or HTTP
+     Basic with the token as password (the /admin dashboard in a
+     browser; ADMIN_USER optionally pins the user name)
+   - Disable admin routes entirely when no token is configured
+   - Basic-authenticated writes must carry the CSRF token (_csrf form
+     field or X-CSRF-Token header): browsers resend cached Basic
+     credentials on cross-site posts too
+   ============================================================ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+/* ---------- Helpers ---------- */
+// constant-time string compare (length leak is fine for a shared secret)
+function safeEqual(a = '', b = '') {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+// "Authorization: Basic base64(user:password)" → { user, password } | null
+function basicCredentials(req) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Basic\s+([A-Za-z0-9+/=]+)$/i);
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const i = decoded.indexOf(':');
+  return i < 0 ? null : { user: decoded.slice(0, i), password: decoded.slice(i + 1) };
+}
+
+// 'bearer' | 'basic' | '' (not authenticated)
+function authenticate(req, expected) {
+  if (safeEqual(bearerToken(req), expected)) return 'bearer';
+  const basic = basicCredentials(req);
+  const user = process.env.ADMIN_USER;
+  if (basic && safeEqual(basic.password, expected) && (!user || safeEqual(basic.user, user))) return 'basic';
+  return '';
+}
+
+// stable per secret: forms can carry it, other sites can't compute it
+function csrfToken() {
+  return crypto.createHmac('sha256', String(process.env.ADMIN_TOKEN || '')).update('admin-csrf').digest('hex');
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const parseForm = express.urlencoded({ extended: false, limit: '10kb' });
+
+// Basic + state-changing request → the token must come with it
+function requireCsrf(req, res, next) {
+  parseForm(req, res, err => {
+    if (err) return next(err);
+    const sent = req.get('x-csrf-token') || req.body?._csrf;
+    if (!safeEqual(sent, csrfToken())) return res.status(403).json({ error: 'Invalid form token' });
+    next();
+  });
+}
+
+/* ---------- Middleware ---------- */
+function adminAuth(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+  }
+
+  req.adminAuth = authenticate(req, expected);
+  if (!req.adminAuth) {
+    // browsers only prompt for a password on a Basic challenge
+    const browser = req.accepts(['json', 'html']) === 'html';
+    res.set('WWW-Authenticate', browser ? 'Basic realm="admin", charset="UTF-8"' : 'Bearer realm="admin"');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.adminAuth === 'basic' && !SAFE_METHODS.includes(req.method)) return requireCsrf(req, res, next);
+  next();
+}
+
+/* ---------- Exports ---------- */
+module.exports = adminAuth;
+module.exports.csrfToken = csrfToken;
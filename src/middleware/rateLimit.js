@@ -0,0 +1,56 @@
+/* ============================================================
+   /src/middleware/rateLimit.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Fixed-window request limits for the sign-in endpoints, keyed
+     per client IP or per email address (in memory, per process)
+   - Over the limit → 429 + Retry-After, before any password
+     hashing or mail sending happens
+   ============================================================ */
+
+/* ---------- Tunables ---------- */
+const MAX_KEYS = 50000; // per limiter; oldest windows dropped past this
+
+/* ---------- Helpers ---------- */
+function normalizeEmail(val) {
+  return String(Array.isArray(val) ? val[0] : val || '').trim().toLowerCase();
+}
+
+/* ---------- Key Functions ---------- */
+const byIp = req => req.ip || req.socket?.remoteAddress || '';
+const byEmail = req => normalizeEmail(req.body?.email);
+
+/* ---------- Factory ---------- */
+/**
+ * @param {{ name: string, windowMs: number, max: number, key: (req) => string }} opts
+ *   key: '' → not counted (e.g. no email in the body; validation rejects it later)
+ */
+function rateLimit({ name, windowMs, max, key }) {
+  const hits = new Map(); // key → { count, resetAt } (insertion order ≈ age)
+
+  return function limit(req, res, next) {
+    const k = key(req);
+    if (!k) return next();
+
+    const now = Date.now();
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      hits.delete(k);
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+      if (hits.size > MAX_KEYS) hits.delete(hits.keys().next().value);
+    }
+
+    if (++entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      if (entry.count === max + 1) console.warn(`Rate limit "${name}" reached; blocking for ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many attempts, try again later' });
+    }
+    next();
+  };
+}
+
+module.exports = rateLimit;
+module.exports.byIp = byIp;
+module.exports.byEmail = byEmail;
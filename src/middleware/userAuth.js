@@ -0,0 +1,65 @@
+/* ============================================================
+   /src/middleware/userAuth.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Resolve the session cookie to req.user (anonymous → null)
+   - Guard /me routes: 401 unless signed in
+   - Set / clear the session cookie (HttpOnly, SameSite=Lax)
+   ============================================================ */
+
+const { resolveSession } = require('../services/accounts');
+
+const SESSION_COOKIE = 'nikb_sid';
+
+/* ---------- Helpers ---------- */
+function readCookie(req, name) {
+  const header = req.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); }
+      catch { return ''; }
+    }
+  }
+  return '';
+}
+
+function setSessionCookie(req, res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    expires: expiresAt
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/* ---------- Middleware ---------- */
+// Never fails the request: a bad / expired cookie just means anonymous
+// (also exposed to views as res.locals.user)
+async function loadUser(req, res, next) {
+  req.user = null;
+  req.sessionToken = readCookie(req, SESSION_COOKIE);
+  if (req.sessionToken) {
+    try {
+      req.user = await resolveSession(req.sessionToken);
+      if (!req.user) clearSessionCookie(res);
+    } catch (err) {
+      console.error('Error resolving session:', err.message);
+    }
+  }
+  res.locals.user = req.user;
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  next();
+}
+
+/* ---------- Exports ---------- */
+module.exports = { loadUser, requireUser, setSessionCookie, clearSessionCookie };
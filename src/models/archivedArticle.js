@@ -0,0 +1,19 @@
+// src/models/archivedArticle.js
+const mongoose = require('mongoose');
+const Article = require('./article');
+
+// Optional archive expiry; 0 (default) keeps archived articles forever
+const ARCHIVE_RETENTION_DAYS = Math.max(0, Number(process.env.ARCHIVE_RETENTION_DAYS || 0));
+
+// Same shape + indexes as the live collection (same _id, so links and
+// cursors stay stable), plus when the article was moved here
+const archivedArticleSchema = Article.schema.clone();
+archivedArticleSchema.add({
+  archivedAt: { type: Date, default: Date.now },
+});
+
+if (ARCHIVE_RETENTION_DAYS) {
+  archivedArticleSchema.index({ archivedAt: 1 }, { expireAfterSeconds: ARCHIVE_RETENTION_DAYS * 86400 });
+}
+
+module.exports = mongoose.model('ArchivedArticle', archivedArticleSchema, 'articles_archive');
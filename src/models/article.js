@@ -1,13 +1,20 @@
 // src/models/article.js
 const mongoose = require('mongoose');
 
+// Articles stay in the live feed this long after ingestion, then the
+// archive sweep (jobs/archiveJob) moves them to ArchivedArticle
+const RETENTION_HOURS = Math.max(1, Number(process.env.ARTICLE_RETENTION_HOURS || 24));
+const RETENTION_SECONDS = Math.round(RETENTION_HOURS * 3600);
+
 const articleSchema = new mongoose.Schema(
   {
     title:   { type: String, required: true, trim: true, maxlength: 300 },
     summary: { type: String, required: true, trim: true, maxlength: 2000 },
 
-    // Use required+unique+index for fast upsert/dedupe
+    // Canonical URL (services/canonicalUrl): the dedup key, so utm / AMP /
+    // mobile / redirector variants of one story collapse into one article
     link:    { type: String, required: true, trim: true, unique: true, index: true },
+    feedLink: { type: String, trim: true },   // as the feed gave it, for reference
 
     source:  { type: String, required: true, trim: true, maxlength: 120 },
 
@@ -15,9 +22,43 @@ const articleSchema = new mongoose.Schema(
     pubDate: { type: Date, index: true },
 
     image:   { type: String, trim: true, maxlength: 2000 },
+    // verified at ingestion (services/imagePipeline); served via /img/:id
+    imageWidth:  { type: Number },
+    imageHeight: { type: Number },
+    imageHash:   { type: String, index: true, sparse: true }, // dHash, spots reused logos
+
+    // Language of title + summary, detected language of the source page,
+    // and optional extra editions (e.g. English next to a Hindi original)
+    lang:       { type: String, trim: true, default: 'en', index: true },
+    sourceLang: { type: String, trim: true, default: 'en' },
+    translations: {
+      type: [{
+        _id: false,
+        lang:    { type: String, required: true },
+        title:   { type: String, trim: true, maxlength: 300 },
+        summary: { type: String, trim: true, maxlength: 2000 },
+      }],
+      default: undefined
+    },
+
+    // Which summarizer produced the summary (e.g. groq / llama-3.1-8b-instant)
+    summarizer: {
+      provider: { type: String, default: '' },
+      model:    { type: String, default: '' },
+    },
 
-    // TTL: delete 24h after insertion
-    createdAt: { type: Date, default: Date.now, expires: 86400, index: true },
+    // Topic categories (politics, sports, …; see services/classifier)
+    categories: { type: [String], default: ['general'], index: true },
+
+    // Story cluster (same event across sources) + near-duplicate fingerprint
+    storyId: { type: String, index: true },
+    fingerprint: {
+      simhash:     { type: String, default: '' },
+      titleTokens: { type: [String], default: [] },
+    },
+
+    // Ingest time; drives the live window (no TTL: expired → archive)
+    createdAt: { type: Date, default: Date.now, index: true },
   },
   {
     versionKey: false,
@@ -36,8 +77,30 @@ const articleSchema = new mongoose.Schema(
 // Helpful compound index for feeds/pages sorted by newest per source
 articleSchema.index({ source: 1, pubDate: -1 });
 
+// Language editions (/news?lang=)
+articleSchema.index({ 'translations.lang': 1 });
+
+// Full-text search (/search); the only text index a collection may have.
+// language_override points at a field we never set: our "lang" codes
+// (hi, mr …) aren't all languages MongoDB's stemmer knows.
+articleSchema.index(
+  { title: 'text', summary: 'text', source: 'text', 'translations.title': 'text', 'translations.summary': 'text' },
+  {
+    name: 'article_text',
+    weights: { title: 5, 'translations.title': 4, summary: 2, 'translations.summary': 2, source: 1 },
+    default_language: 'english',
+    language_override: 'textLanguage'
+  }
+);
+
 // Basic URL sanity (non-blocking; avoids junk)
 articleSchema.path('link').validate(val => /^https?:\/\//i.test(val), 'link must be http(s) URL');
 articleSchema.path('image').validate(val => !val || /^https?:\/\//i.test(val), 'image must be http(s) URL');
 
-module.exports = mongoose.model('Article', articleSchema);
+// Keyset paging (/news cursors): newest first, _id breaks ties
+articleSchema.index({ createdAt: -1, _id: -1 });
+
+const Article = mongoose.model('Article', articleSchema);
+Article.RETENTION_SECONDS = RETENTION_SECONDS;
+
+module.exports = Article;
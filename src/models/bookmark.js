@@ -0,0 +1,42 @@
+// src/models/bookmark.js
+const mongoose = require('mongoose');
+
+// One saved article per (user, article). The article is copied in, so a
+// bookmark outlives the live feed window and any archive expiry.
+const bookmarkSchema = new mongoose.Schema(
+  {
+    userId:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // client article id (Article _id, or link for legacy cache entries)
+    articleId: { type: String, required: true, trim: true, maxlength: 2000 },
+
+    article: {
+      title:      { type: String, required: true, maxlength: 300 },
+      summary:    { type: String, default: '', maxlength: 2000 },
+      link:       { type: String, required: true, maxlength: 2000 },
+      source:     { type: String, default: '', maxlength: 120 },
+      pubDate:    { type: Date, default: null },
+      image:      { type: String, default: '', maxlength: 2000 },
+      imageWidth:  { type: Number },
+      imageHeight: { type: Number },
+      lang:       { type: String, default: 'en' },
+      categories: { type: [String], default: [] },
+      createdAt:  { type: Date, default: null }, // when the article was ingested
+    },
+
+    savedAt: { type: Date, default: Date.now },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+bookmarkSchema.index({ userId: 1, articleId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, savedAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
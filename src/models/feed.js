@@ -0,0 +1,69 @@
+// src/models/feed.js
+const mongoose = require('mongoose');
+
+const feedSchema = new mongoose.Schema(
+  {
+    // Feed URL is the natural key (one registry entry per feed)
+    url:     { type: String, required: true, trim: true, unique: true, index: true },
+
+    // Display name shown as article source (falls back to hostname)
+    name:    { type: String, trim: true, maxlength: 120, default: '' },
+
+    // Paused feeds stay in the registry but are skipped by the job
+    enabled: { type: Boolean, default: true, index: true },
+
+    // Per-feed pick counts (null → fetcher defaults)
+    // initialPick: newest N on initial fill; recurringPick: cap on new items per run
+    initialPick:   { type: Number, min: 1, max: 100, default: null },
+    recurringPick: { type: Number, min: 1, max: 50, default: null },
+
+    // Free-form labels; tags naming a category (e.g. "sports") tag every article
+    tags:    { type: [String], default: [] },
+
+    // Summary language: the article's own language, English, or both
+    summaryLanguage: { type: String, enum: ['source', 'en', 'both'], default: 'source' },
+
+    // Conditional GET validators from the last 200 response
+    etag:         { type: String, default: '' },
+    lastModified: { type: String, default: '' },
+
+    // "New since last run" mark (maintained by rssFetcher)
+    highWater: {
+      lastPubDate: { type: Date, default: null },
+      seenKeys:    { type: [String], default: [] },
+    },
+
+    // Fetch health (maintained by rssFetcher)
+    health: {
+      status:              { type: String, enum: ['unknown', 'ok', 'not_modified', 'error'], default: 'unknown' },
+      consecutiveFailures: { type: Number, default: 0 },
+      lastFetchAt:         { type: Date, default: null },
+      lastSuccessAt:       { type: Date, default: null },
+      lastItemCount:       { type: Number, default: null },
+      lastError:           { type: String, default: '', maxlength: 500 },
+      // failing feeds are skipped until this time
+      backoffUntil:        { type: Date, default: null },
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Basic URL sanity
+feedSchema.path('url').validate(val => /^https?:\/\//i.test(val), 'url must be http(s) URL');
+
+// Normalise tags: trimmed, lowercase, unique
+feedSchema.path('tags').set(tags =>
+  [...new Set((tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))]
+);
+
+module.exports = mongoose.model('Feed', feedSchema);
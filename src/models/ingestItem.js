@@ -0,0 +1,75 @@
+// src/models/ingestItem.js
+const mongoose = require('mongoose');
+
+// Pipeline states, in order. "failed" = rejected for good (e.g. short content),
+// "dead" = kept failing transiently and ran out of retries (dead-letter).
+const STATES = ['discovered', 'scraped', 'summarized', 'published', 'failed', 'dead'];
+const ACTIVE_STATES = ['discovered', 'scraped', 'summarized'];
+
+const ingestItemSchema = new mongoose.Schema(
+  {
+    // One queue entry per canonical link (services/canonicalUrl); feedLink is
+    // what the feed gave us (and what we fetch), canonicalUrl what the page declared
+    link:    { type: String, required: true, trim: true, unique: true, index: true },
+    feedLink:     { type: String, trim: true, default: '' },
+    canonicalUrl: { type: String, trim: true, default: '' },
+    title:   { type: String, required: true, trim: true, maxlength: 300 },
+    source:  { type: String, trim: true, maxlength: 120, default: '' },
+    pubDate: { type: Date, default: null },
+    summaryLanguage: { type: String, enum: ['source', 'en', 'both'], default: 'source' }, // from the feed
+    categoryHints:   { type: [String], default: [] },                                      // feed tags
+    feedContent:     { type: String, default: '' },  // content:encoded, scrape fallback
+
+    state:   { type: String, enum: STATES, default: 'discovered', index: true },
+
+    // Retry bookkeeping (per stage; reset when a stage succeeds)
+    attempts:      { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+    lastError:     { type: String, default: '', maxlength: 1000 },
+    reason:        { type: String, default: '' },   // short code for failed/dead
+    deadFrom:      { type: String, enum: ACTIVE_STATES, default: null },
+
+    // Stage outputs carried to the next stage
+    content:  { type: String, default: '' },
+    image:    { type: String, default: '' },
+    imageWidth:  { type: Number, default: null },
+    imageHeight: { type: Number, default: null },
+    imageHash:   { type: String, default: '' },
+    strategy: { type: String, default: '' },
+    sourceLang: { type: String, default: '' },
+    summary:  { type: String, default: '' },
+    lang:     { type: String, default: '' },   // language of summary (+ translatedTitle)
+    translatedTitle: { type: String, default: '' },
+    translations: { type: [{ _id: false, lang: String, title: String, summary: String }], default: [] },
+    summarizer: {
+      provider: { type: String, default: '' },
+      model:    { type: String, default: '' },
+    },
+
+    // Finished entries (published/failed) are cleaned up by TTL
+    expireAt: { type: Date, default: null },
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Due work lookup: active state + due time
+ingestItemSchema.index({ state: 1, nextAttemptAt: 1 });
+
+// TTL on expireAt (null → never expires, e.g. dead-letter entries)
+ingestItemSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+const IngestItem = mongoose.model('IngestItem', ingestItemSchema);
+IngestItem.STATES = STATES;
+IngestItem.ACTIVE_STATES = ACTIVE_STATES;
+
+module.exports = IngestItem;
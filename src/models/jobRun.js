@@ -0,0 +1,71 @@
+// src/models/jobRun.js
+const mongoose = require('mongoose');
+
+// How long run history is kept (days)
+const RETENTION_DAYS = Math.max(1, Number(process.env.JOB_RUN_RETENTION_DAYS || 30));
+
+const feedStatSchema = new mongoose.Schema(
+  {
+    feedId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Feed' },
+    url:       String,
+    name:      String,
+    status:    String,   // ok | not_modified | error | backoff
+    itemCount: Number,   // items in the feed document
+    newCount:  Number,   // items new since the last run
+    picked:    Number,   // items handed to the pipeline
+    error:     String,
+  },
+  { _id: false }
+);
+
+const articleStatSchema = new mongoose.Schema(
+  {
+    link:    String,
+    title:   String,
+    outcome: String,   // saved | skipped | retry | dead | error
+    reason:  String,
+    ms:      Number,
+    error:   String,
+  },
+  { _id: false }
+);
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    mode:       { type: String, enum: ['initial', 'recurring'], required: true },
+    status:     { type: String, enum: ['running', 'done', 'failed'], default: 'running', index: true },
+
+    startedAt:  { type: Date, default: Date.now, index: true },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+
+    // Totals
+    discovered: { type: Number, default: 0 },
+    processed:  { type: Number, default: 0 },
+    saved:      { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },  // ("errors" is reserved by mongoose)
+    retrying:   { type: Number, default: 0 },
+    dead:       { type: Number, default: 0 },
+    skipped:    { type: Map, of: Number, default: {} },
+    qualityRejects: { type: Map, of: Number, default: {} }, // summary validation failures by reason
+
+    feeds:      { type: [feedStatSchema], default: [] },
+    articles:   { type: [articleStatSchema], default: [] },
+    errorMessages: { type: [String], default: [] },
+
+    // TTL: history is pruned after RETENTION_DAYS
+    createdAt:  { type: Date, default: Date.now, expires: RETENTION_DAYS * 86400 },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,18 @@
+// src/models/lock.js
+const mongoose = require('mongoose');
+
+// One document per named lease; _id is the lock name
+const lockSchema = new mongoose.Schema(
+  {
+    _id:         { type: String },
+    owner:       { type: String, required: true },
+    acquiredAt:  { type: Date, default: Date.now },
+    heartbeatAt: { type: Date, default: Date.now },
+
+    // lease is free once this passes (holder crashed / stopped heartbeating)
+    expiresAt:   { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('Lock', lockSchema);
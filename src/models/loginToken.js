@@ -0,0 +1,18 @@
+// src/models/loginToken.js
+const mongoose = require('mongoose');
+
+// Single-use magic-link token; _id is sha256(token), the raw token only
+// ever exists in the emailed link
+const loginTokenSchema = new mongoose.Schema(
+  {
+    _id:       { type: String },
+    email:     { type: String, required: true, trim: true, lowercase: true },
+    createdAt: { type: Date, default: Date.now },
+
+    // TTL: unused links disappear on their own
+    expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('LoginToken', loginTokenSchema);
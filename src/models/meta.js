@@ -0,0 +1,15 @@
+// src/models/meta.js
+const mongoose = require('mongoose');
+
+// One document per app-wide, one-time fact (e.g. "feed registry seeded");
+// _id is the key
+const metaSchema = new mongoose.Schema(
+  {
+    _id:   { type: String },
+    value: { type: mongoose.Schema.Types.Mixed, default: true },
+    at:    { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('Meta', metaSchema, 'meta');
@@ -0,0 +1,29 @@
+// src/models/rawPage.js
+const mongoose = require('mongoose');
+
+// Raw HTML is only kept for debugging extraction, so it expires quickly
+const RAW_HTML_TTL_HOURS = Math.max(1, Number(process.env.RAW_HTML_TTL_HOURS || 6));
+
+// Last fetched HTML per URL (article pages and their AMP versions)
+const rawPageSchema = new mongoose.Schema(
+  {
+    url:         { type: String, required: true, trim: true, unique: true },
+    status:      { type: Number, default: 0 },
+    contentType: { type: String, default: '' },
+    charset:     { type: String, default: '' },   // the one we decoded with
+    bytes:       { type: Number, default: 0 },
+    html:        { type: String, default: '' },
+    fetchedAt:   { type: Date, default: Date.now, expires: RAW_HTML_TTL_HOURS * 3600 },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+module.exports = mongoose.model('RawPage', rawPageSchema);
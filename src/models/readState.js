@@ -0,0 +1,21 @@
+// src/models/readState.js
+const mongoose = require('mongoose');
+
+// How long read markers are kept (articles leave the live feed long before)
+const READ_STATE_TTL_DAYS = Math.max(1, Number(process.env.READ_STATE_TTL_DAYS || 7));
+
+// One document per (user, article) the user has read
+const readStateSchema = new mongoose.Schema(
+  {
+    userId:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // client article id (Article _id, or link for legacy cache entries)
+    articleId: { type: String, required: true, trim: true, maxlength: 2000 },
+    readAt:    { type: Date, default: Date.now, expires: READ_STATE_TTL_DAYS * 86400 },
+  },
+  { versionKey: false }
+);
+
+readStateSchema.index({ userId: 1, articleId: 1 }, { unique: true });
+readStateSchema.index({ userId: 1, readAt: -1 });
+
+module.exports = mongoose.model('ReadState', readStateSchema);
@@ -0,0 +1,19 @@
+// src/models/session.js
+const mongoose = require('mongoose');
+
+// One document per signed-in device. _id is sha256(cookie token), so a
+// leaked database dump can't be replayed as cookies.
+const sessionSchema = new mongoose.Schema(
+  {
+    _id:       { type: String },
+    userId:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    userAgent: { type: String, default: '', maxlength: 300 },
+    createdAt: { type: Date, default: Date.now },
+
+    // TTL: Mongo removes the session once this passes
+    expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('Session', sessionSchema);
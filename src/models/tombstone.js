@@ -0,0 +1,40 @@
+// src/models/tombstone.js
+const mongoose = require('mongoose');
+
+// Must outlive the client's delta window (full rebuild after 6 hrs);
+// older syncs get a reset instead of a removal list
+const TOMBSTONE_TTL_HOURS = Math.max(12, Number(process.env.TOMBSTONE_TTL_HOURS || 48));
+const TTL_SECONDS = Math.round(TOMBSTONE_TTL_HOURS * 3600);
+
+// One per article that left the live feed (archived or deleted), so
+// since= deltas can tell cached clients which ids to drop; _id is the article's
+const tombstoneSchema = new mongoose.Schema(
+  {
+    _id:       { type: mongoose.Schema.Types.ObjectId },
+    reason:    { type: String, enum: ['archived', 'deleted'], required: true },
+    removedAt: { type: Date, default: Date.now, expires: TTL_SECONDS },
+  },
+  { versionKey: false }
+);
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+
+// record removals; re-recording an id (interrupted sweep) is a no-op
+async function record(ids, reason) {
+  if (!ids.length) return;
+  const removedAt = new Date();
+  try {
+    await Tombstone.insertMany(ids.map(_id => ({ _id, reason, removedAt })), { ordered: false });
+  } catch (err) {
+    const writeErrors = err?.writeErrors || [];
+    const dupOnly = writeErrors.length
+      ? writeErrors.every(e => e.code === 11000)
+      : err?.code === 11000;
+    if (!dupOnly) throw err;
+  }
+}
+
+Tombstone.TTL_SECONDS = TTL_SECONDS;
+Tombstone.record = record;
+
+module.exports = Tombstone;
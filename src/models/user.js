@@ -0,0 +1,31 @@
+// src/models/user.js
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String, required: true, trim: true, lowercase: true, unique: true, maxlength: 254,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'invalid email']
+    },
+
+    // scrypt hash ("scrypt$<salt>$<hash>"); empty for magic-link-only accounts
+    passwordHash: { type: String, default: '' },
+
+    // set once the user has proven the address (magic link)
+    emailVerifiedAt: { type: Date, default: null },
+    lastLoginAt:     { type: Date, default: null },
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.__v;
+        delete ret.passwordHash;
+        return ret;
+      }
+    }
+  }
+);
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,183 @@
+/* ============================================================
+   /src/routes/adminRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - /admin dashboard (EJS): feeds + fetch health, recent ingestion
+     runs, latest failed / dead-letter items, latest articles
+   - Form actions: run the pipeline now (initial / recurring),
+     re-scrape / re-summarise / delete an article or a failed item
+   - Password-protected via adminAuth, mounted on /admin in server.js
+     (HTTP Basic in a browser; it also checks the forms' CSRF token)
+   ============================================================ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Feed = require('../models/feed');
+const JobRun = require('../models/jobRun');
+const IngestItem = require('../models/ingestItem');
+const Article = require('../models/article');
+const Tombstone = require('../models/tombstone');
+const ingestQueue = require('../services/ingestQueue');
+const fetchAndStoreNews = require('../jobs/newsJob');
+const adminAuth = require('../middleware/adminAuth');
+const { forgetImage } = require('./imageRoute');
+
+const { reprocessArticle, runState } = fetchAndStoreNews;
+const router = express.Router();
+
+/* ---------- Tunables ---------- */
+const RUNS_SHOWN = 15;
+const FAILED_SHOWN = 30;
+const ARTICLES_SHOWN = 20;
+const MODES = ['initial', 'recurring'];
+const ACTIONS = ['rescrape', 'resummarize'];
+
+/* ---------- Helpers ---------- */
+const form = express.urlencoded({ extended: false, limit: '10kb' });
+
+// back to the dashboard with a one-line notice (API clients get JSON)
+function done(req, res, status, message) {
+  if (req.accepts(['json', 'html']) === 'html') {
+    const key = status >= 400 ? 'error' : 'notice';
+    return res.redirect(303, `/admin?${key}=${encodeURIComponent(message)}`);
+  }
+  res.status(status).json(status >= 400 ? { error: message } : { message });
+}
+
+function firstParam(val) {
+  return Array.isArray(val) ? val[0] : val;
+}
+
+/* ---------- Dashboard ---------- */
+router.get('/admin', async (req, res) => {
+  try {
+    const [feeds, runs, failed, articles, counts] = await Promise.all([
+      Feed.find({}).sort({ createdAt: 1, _id: 1 }).select('-highWater').lean(),
+      JobRun.find({})
+        .sort({ startedAt: -1, _id: -1 })
+        .limit(RUNS_SHOWN)
+        .select('-articles -feeds')
+        .lean(),
+      // content only matters as "can be re-summarised without a new scrape"
+      IngestItem.aggregate([
+        { $match: { state: { $in: ['failed', 'dead'] } } },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        { $limit: FAILED_SHOWN },
+        {
+          $project: {
+            title: 1, link: 1, source: 1, state: 1, reason: 1, lastError: 1,
+            attempts: 1, deadFrom: 1, updatedAt: 1,
+            hasContent: { $gt: [{ $strLenCP: { $ifNull: ['$content', ''] } }, 0] }
+          }
+        }
+      ]),
+      Article.find({})
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(ARTICLES_SHOWN)
+        .select('title link source createdAt summarizer image')
+        .lean(),
+      IngestItem.aggregate([{ $group: { _id: '$state', n: { $sum: 1 } } }])
+    ]);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.render('admin', {
+      feeds,
+      runs,
+      failed,
+      articles,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.n])),
+      modes: MODES,
+      csrf: adminAuth.csrfToken(),
+      notice: String(firstParam(req.query.notice) || '').slice(0, 300),
+      error: String(firstParam(req.query.error) || '').slice(0, 300)
+    });
+  } catch (err) {
+    console.error('Error loading admin dashboard:', err.message);
+    res.status(500).send('Error loading admin dashboard.');
+  }
+});
+
+/* ---------- Run Now ---------- */
+// runs can take minutes: start it and return; the run shows up in the list
+router.post('/admin/run', form, async (req, res) => {
+  const mode = req.body?.mode || 'recurring';
+  if (!MODES.includes(mode)) return done(req, res, 400, `mode must be one of ${MODES.join(', ')}`);
+
+  try {
+    const state = await runState();
+    if (state === 'here') return done(req, res, 409, 'A run is already in progress in this process');
+    if (state === 'elsewhere') return done(req, res, 409, 'Another process is ingesting right now');
+  } catch (err) {
+    console.error('Error checking ingestion state:', err.message);
+    return done(req, res, 500, 'Failed to check whether a run is in progress');
+  }
+
+  fetchAndStoreNews(mode)
+    .then(ran => { if (!ran) console.log(`Admin run (${mode}) skipped: a run started in the meantime`); })
+    .catch(e => console.error(`Admin run (${mode}) failed:`, e?.message || e));
+  done(req, res, 202, `Started a ${mode} run`);
+});
+
+/* ---------- Articles ---------- */
+router.post('/admin/articles/:id/delete', form, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return done(req, res, 404, 'Article not found');
+  try {
+    const article = await Article.findByIdAndDelete(id).select('title').lean();
+    if (!article) return done(req, res, 404, 'Article not found');
+    await Tombstone.record([article._id], 'deleted'); // cached clients drop it on their next delta
+    done(req, res, 200, `Deleted: ${article.title}`);
+  } catch (err) {
+    console.error('Error deleting article:', err.message);
+    done(req, res, 500, 'Failed to delete article');
+  }
+});
+
+router.post('/admin/articles/:id/:action', form, async (req, res) => {
+  const { id, action } = req.params;
+  if (!ACTIONS.includes(action)) return done(req, res, 404, 'Unknown action');
+  if (!mongoose.isValidObjectId(id)) return done(req, res, 404, 'Article not found');
+  try {
+    const article = await reprocessArticle(id, action === 'rescrape' ? 'scrape' : 'summary');
+    if (!article) return done(req, res, 404, 'Article not found');
+    forgetImage(id); // a re-scrape may have picked another image
+    done(req, res, 200, `${action === 'rescrape' ? 'Re-scraped' : 'Re-summarised'}: ${article.title}`);
+  } catch (err) {
+    console.error(`Error reprocessing article ${id}:`, err.message);
+    done(req, res, 502, `Could not ${action === 'rescrape' ? 're-scrape' : 're-summarise'}: ${err.message}`);
+  }
+});
+
+/* ---------- Failed Items ---------- */
+router.post('/admin/items/:id/delete', form, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return done(req, res, 404, 'Item not found');
+  try {
+    const item = await IngestItem.findByIdAndDelete(id).select('title').lean();
+    if (!item) return done(req, res, 404, 'Item not found');
+    done(req, res, 200, `Removed from the queue: ${item.title}`);
+  } catch (err) {
+    console.error('Error deleting queue item:', err.message);
+    done(req, res, 500, 'Failed to delete item');
+  }
+});
+
+// failed / dead items go back through the queue on the next run
+router.post('/admin/items/:id/:action', form, async (req, res) => {
+  const { id, action } = req.params;
+  if (!ACTIONS.includes(action)) return done(req, res, 404, 'Unknown action');
+  if (!mongoose.isValidObjectId(id)) return done(req, res, 404, 'Item not found');
+  try {
+    const out = await ingestQueue.requeue(id, action === 'rescrape' ? 'discovered' : 'scraped');
+    if (!out) return done(req, res, 404, 'Item not found');
+    if (!out.requeued) return done(req, res, 409, `Only failed items can be requeued (this one is ${out.item.state})`);
+    const { item } = out;
+    const how = item.state === 'scraped' ? 're-summarise' : 're-scrape';
+    done(req, res, 200, `Queued to ${how} on the next run: ${item.title}`);
+  } catch (err) {
+    console.error('Error requeueing item:', err.message);
+    done(req, res, 500, 'Failed to requeue item');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+/* ============================================================
+   /src/routes/archiveRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Browse any past day (/archive?date=YYYY-MM-DD)
+   - One day spans both collections: articles still in the live
+     window + those the archive sweep has moved out
+   - Same filters (lang, category) + response shape as /news
+   - Browsers (Accept: text/html) get the card reader in archive
+     mode; fetch/JSON clients get the data
+   - Day boundaries in ARCHIVE_UTC_OFFSET_MIN (default UTC)
+   ============================================================ */
+
+const express = require('express');
+const Article = require('../models/article');
+const ArchivedArticle = require('../models/archivedArticle');
+const { CATEGORIES } = require('../services/classifier');
+const { buildFilters, localize, firstParam } = require('../services/newsFilters');
+
+const router = express.Router();
+
+/* ---------- Paging caps ---------- */
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 50;
+
+// minutes east of UTC, e.g. 330 for IST
+const UTC_OFFSET_MIN = Number(process.env.ARCHIVE_UTC_OFFSET_MIN || 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARTICLE_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt storyId lang translations categories';
+const PROJECTION = Object.fromEntries(ARTICLE_FIELDS.split(' ').map(f => [f, 1]));
+
+/* ---------- Helpers ---------- */
+function parseIntParam(val, fallback) {
+  if (Array.isArray(val)) val = val[0];
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// "2025-03-14" → [start, end) of that local day, or null
+function dayRange(val) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(firstParam(val) || ''));
+  if (!m) return null;
+  const utcMidnight = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  const start = new Date(utcMidnight - UTC_OFFSET_MIN * 60 * 1000);
+  // reject rollovers like 2025-02-31
+  if (new Date(utcMidnight).toISOString().slice(0, 10) !== m[0]) return null;
+  return { date: m[0], start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+// local calendar date `daysAgo` days before now
+function localDate(daysAgo = 0) {
+  return new Date(Date.now() + UTC_OFFSET_MIN * 60 * 1000 - daysAgo * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/* ---------- Routes ---------- */
+/**
+ * GET /archive?date=YYYY-MM-DD
+ * Query: date (required for JSON), page, limit, lang, category
+ * HTML: card reader for that day (defaults to yesterday)
+ */
+router.get('/archive', async (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    const day = dayRange(req.query.date);
+    return res.render('index', {
+      categories: CATEGORIES,
+      archiveDate: day ? day.date : localDate(1),
+      today: localDate(0)
+    });
+  }
+
+  try {
+    const day = dayRange(req.query.date);
+    if (!day) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+    const limit = Math.min(
+      Math.max(parseIntParam(req.query.limit, DEFAULT_LIMIT), 1),
+      MAX_LIMIT
+    );
+    const page = Math.max(parseIntParam(req.query.page, 1), 1);
+
+    const { filter, lang, categories } = buildFilters(req.query);
+    const match = { ...filter, createdAt: { $gte: day.start, $lt: day.end } };
+
+    // live + archived share _ids and never overlap (the sweep moves them)
+    const [result] = await Article.aggregate([
+      { $match: match },
+      { $unionWith: { coll: ArchivedArticle.collection.name, pipeline: [{ $match: match }] } },
+      { $project: PROJECTION },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $facet: {
+          total: [{ $count: 'n' }],
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }]
+        }
+      }
+    ]);
+
+    const total = result?.total?.[0]?.n || 0;
+    const articles = result?.items || [];
+
+    res.status(200).json({
+      date: day.date,
+      lang,
+      categories,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      totalArticles: total,
+      count: articles.length,
+      articles: articles.map(a => localize(a, lang))
+    });
+  } catch (err) {
+    console.error('Error loading archive:', err.message);
+    res.status(500).json({ error: 'Failed to load archive' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/* ============================================================
+   /src/routes/authRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Optional accounts: register / sign in with email + password
+   - Passwordless sign-in: emailed magic link (pluggable mailer)
+   - Throttle sign-in attempts and link mails per IP and per email
+   - Sign out (drops this device's session)
+   - /login page (forms post here via script/login.js)
+   ============================================================ */
+
+const express = require('express');
+const {
+  AuthError,
+  register,
+  login,
+  createMagicToken,
+  redeemMagicToken,
+  createSession,
+  destroySession
+} = require('../services/accounts');
+const { sendMail, mailerName } = require('../services/mailer');
+const { setSessionCookie, clearSessionCookie } = require('../middleware/userAuth');
+const rateLimit = require('../middleware/rateLimit');
+
+const { byIp, byEmail } = rateLimit;
+const router = express.Router();
+
+/* ---------- Rate Limits ---------- */
+const MINUTE = 60 * 1000;
+const limits = {
+  register: [rateLimit({ name: 'register/ip', windowMs: 60 * MINUTE, max: 10, key: byIp })],
+  login: [
+    rateLimit({ name: 'login/ip', windowMs: 15 * MINUTE, max: 30, key: byIp }),
+    rateLimit({ name: 'login/email', windowMs: 15 * MINUTE, max: 10, key: byEmail })
+  ],
+  magicLink: [
+    rateLimit({ name: 'magic-link/ip', windowMs: 60 * MINUTE, max: 10, key: byIp }),
+    rateLimit({ name: 'magic-link/email', windowMs: 60 * MINUTE, max: 5, key: byEmail })
+  ]
+};
+
+/* ---------- Helpers ---------- */
+// Base URL for emailed links: PUBLIC_URL only. The Host header is the
+// requester's to choose, so a link built from it would hand a victim's
+// token to whoever asked; it is only trusted when mail goes to our own
+// console (development), '' otherwise
+function siteUrl(req) {
+  const configured = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+  if (configured) return configured;
+  return mailerName() === 'console' ? `${req.protocol}://${req.get('host')}` : '';
+}
+
+function publicUser(user) {
+  return { id: String(user._id), email: user.email };
+}
+
+async function signIn(req, res, user) {
+  setSessionCookie(req, res, await createSession(user, req.get('user-agent') || ''));
+}
+
+function sendError(res, err, what) {
+  if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+  console.error(`Error ${what}:`, err.message);
+  res.status(500).json({ error: `Failed to ${what}` });
+}
+
+/* ---------- Pages ---------- */
+router.get('/login', (req, res) => {
+  if (req.user) return res.redirect('/');
+  res.render('login', { error: req.query.error === 'link' ? 'That sign-in link has expired or was already used.' : '' });
+});
+
+/* ---------- Password ---------- */
+router.post('/auth/register', limits.register, async (req, res) => {
+  try {
+    const user = await register(req.body?.email, req.body?.password);
+    await signIn(req, res, user);
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    sendError(res, err, 'register');
+  }
+});
+
+router.post('/auth/login', limits.login, async (req, res) => {
+  try {
+    const user = await login(req.body?.email, req.body?.password);
+    await signIn(req, res, user);
+    res.status(200).json({ user: publicUser(user) });
+  } catch (err) {
+    sendError(res, err, 'sign in');
+  }
+});
+
+/* ---------- Magic link ---------- */
+// Always 202 for a well-formed address: don't reveal who has an account
+router.post('/auth/magic-link', limits.magicLink, async (req, res) => {
+  try {
+    const site = siteUrl(req);
+    if (!site) throw new AuthError('Sign-in links are not available on this server', 503);
+    const email = String(req.body?.email || '');
+    const token = await createMagicToken(email);
+    const link = `${site}/auth/magic?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: email.trim().toLowerCase(),
+      subject: 'Your News-In-kB sign-in link',
+      text: `Sign in to News-In-kB:\n\n${link}\n\nThe link works once and expires in 15 minutes. ` +
+        'If you didn\'t ask for it, ignore this email.'
+    });
+    res.status(202).json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'send sign-in link');
+  }
+});
+
+router.get('/auth/magic', async (req, res) => {
+  try {
+    const token = Array.isArray(req.query.token) ? req.query.token[0] : req.query.token;
+    const user = await redeemMagicToken(String(token || ''));
+    await signIn(req, res, user);
+    res.redirect('/');
+  } catch (err) {
+    if (!(err instanceof AuthError)) console.error('Error redeeming sign-in link:', err.message);
+    res.redirect('/login?error=link');
+  }
+});
+
+/* ---------- Sign out ---------- */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await destroySession(req.sessionToken);
+  } catch (err) {
+    console.error('Error signing out:', err.message);
+  }
+  clearSessionCookie(res);
+  res.status(204).end();
+});
+
+module.exports = router;
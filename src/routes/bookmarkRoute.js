@@ -0,0 +1,92 @@
+/* ============================================================
+   /src/routes/bookmarkRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Read-later bookmarks for signed-in users (session cookie)
+   - GET    /bookmarks      → saved articles, newest save first
+   - POST   /bookmarks      → save { id } (article snapshotted
+                              from the live feed or the archive)
+   - DELETE /bookmarks/:id  → unsave
+   ============================================================ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Article = require('../models/article');
+const ArchivedArticle = require('../models/archivedArticle');
+const Bookmark = require('../models/bookmark');
+const { requireUser } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+/* ---------- Caps ---------- */
+const MAX_BOOKMARKS = 1000;
+
+const SNAPSHOT_FIELDS = 'title summary link source pubDate image imageWidth imageHeight lang categories createdAt';
+
+/* ---------- Helpers ---------- */
+// client ids are Article _ids (or links, for old cache entries)
+async function findArticle(id) {
+  const query = mongoose.isValidObjectId(id) ? { _id: id } : { link: id };
+  return (await Article.findOne(query).select(SNAPSHOT_FIELDS).lean())
+    || ArchivedArticle.findOne(query).select(SNAPSHOT_FIELDS).lean();
+}
+
+function toClient(b) {
+  return { id: b.articleId, savedAt: b.savedAt, article: { _id: b.articleId, ...b.article } };
+}
+
+router.use('/bookmarks', requireUser);
+
+/* ---------- Routes ---------- */
+router.get('/bookmarks', async (req, res) => {
+  try {
+    const rows = await Bookmark.find({ userId: req.user._id })
+      .sort({ savedAt: -1 })
+      .limit(MAX_BOOKMARKS)
+      .lean();
+    res.status(200).json({ count: rows.length, bookmarks: rows.map(toClient) });
+  } catch (err) {
+    console.error('Error fetching bookmarks:', err.message);
+    res.status(500).json({ error: 'Failed to fetch bookmarks' });
+  }
+});
+
+router.post('/bookmarks', async (req, res) => {
+  const id = typeof req.body?.id === 'string' ? req.body.id.trim() : '';
+  if (!id) return res.status(400).json({ error: 'id is required' });
+
+  try {
+    const existing = await Bookmark.findOne({ userId: req.user._id, articleId: id }).lean();
+    if (existing) return res.status(200).json({ bookmark: toClient(existing) });
+
+    if (await Bookmark.countDocuments({ userId: req.user._id }) >= MAX_BOOKMARKS) {
+      return res.status(409).json({ error: `Bookmark limit (${MAX_BOOKMARKS}) reached` });
+    }
+
+    const article = await findArticle(id);
+    if (!article) return res.status(404).json({ error: 'Article not found' });
+
+    const { _id, ...snapshot } = article;
+    const bookmark = await Bookmark.create({ userId: req.user._id, articleId: id, article: snapshot });
+    res.status(201).json({ bookmark: toClient(bookmark.toObject()) });
+  } catch (err) {
+    if (err?.code === 11000) { // saved twice at once
+      const existing = await Bookmark.findOne({ userId: req.user._id, articleId: id }).lean().catch(() => null);
+      if (existing) return res.status(200).json({ bookmark: toClient(existing) });
+    }
+    console.error('Error saving bookmark:', err.message);
+    res.status(500).json({ error: 'Failed to save bookmark' });
+  }
+});
+
+router.delete('/bookmarks/:id', async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ userId: req.user._id, articleId: req.params.id });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting bookmark:', err.message);
+    res.status(500).json({ error: 'Failed to delete bookmark' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/* ============================================================
+   /src/routes/feedRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Admin CRUD for the feed registry (/admin/feeds)
+   - List, add, update (pause/resume, rename, picks, tags), delete
+   - Expose per-feed fetch health (/admin/feeds/health)
+   - Map validation / duplicate errors to 4xx responses
+   ============================================================ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Feed = require('../models/feed');
+
+// every route below lives under /admin (adminAuth is mounted on it in server.js)
+const router = express.Router();
+
+/* ---------- Helpers ---------- */
+// only these fields can be set through the API
+const EDITABLE = ['url', 'name', 'enabled', 'initialPick', 'recurringPick', 'tags', 'summaryLanguage'];
+
+function pickEditable(body = {}) {
+  const out = {};
+  for (const key of EDITABLE) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+// turn mongoose errors into a status + message
+function sendError(res, err, fallback) {
+  if (err?.code === 11000) return res.status(409).json({ error: 'Feed already exists' });
+  if (err?.name === 'ValidationError' || err?.name === 'CastError') {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`${fallback}:`, err?.message || err);
+  return res.status(500).json({ error: fallback });
+}
+
+function validId(id) {
+  return mongoose.isValidObjectId(id);
+}
+
+/* ---------- List ---------- */
+router.get('/admin/feeds', async (req, res) => {
+  try {
+    const feeds = await Feed.find({}).sort({ createdAt: 1, _id: 1 }).lean();
+    res.status(200).json({ count: feeds.length, feeds });
+  } catch (err) {
+    sendError(res, err, 'Failed to list feeds');
+  }
+});
+
+/* ---------- Health ---------- */
+// broken / backing-off feeds first, then by name
+router.get('/admin/feeds/health', async (req, res) => {
+  try {
+    const feeds = await Feed.find({})
+      .select('url name enabled health')
+      .lean();
+
+    const now = Date.now();
+    const rows = feeds.map(f => {
+      const h = f.health || {};
+      return {
+        _id: f._id,
+        url: f.url,
+        name: f.name,
+        enabled: f.enabled,
+        ...h,
+        backingOff: !!(h.backoffUntil && new Date(h.backoffUntil).getTime() > now)
+      };
+    });
+
+    rows.sort((a, b) =>
+      (b.consecutiveFailures || 0) - (a.consecutiveFailures || 0) ||
+      String(a.name || a.url).localeCompare(String(b.name || b.url))
+    );
+
+    res.status(200).json({
+      count: rows.length,
+      failing: rows.filter(r => r.consecutiveFailures > 0).length,
+      feeds: rows
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to load feed health');
+  }
+});
+
+/* ---------- Add ---------- */
+router.post('/admin/feeds', async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+    if (!fields.url) return res.status(400).json({ error: 'url is required' });
+
+    const feed = await Feed.create(fields);
+    res.status(201).json(feed);
+  } catch (err) {
+    sendError(res, err, 'Failed to add feed');
+  }
+});
+
+/* ---------- Update (pause/resume, rename, picks, tags) ---------- */
+router.patch('/admin/feeds/:id', async (req, res) => {
+  try {
+    if (!validId(req.params.id)) return res.status(404).json({ error: 'Feed not found' });
+
+    const feed = await Feed.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+
+    res.status(200).json(feed);
+  } catch (err) {
+    sendError(res, err, 'Failed to update feed');
+  }
+});
+
+/* ---------- Delete ---------- */
+router.delete('/admin/feeds/:id', async (req, res) => {
+  try {
+    if (!validId(req.params.id)) return res.status(404).json({ error: 'Feed not found' });
+
+    const feed = await Feed.findByIdAndDelete(req.params.id).lean();
+    if (!feed) return res.status(404).json({ error: 'Feed not found' });
+
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete feed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/* ============================================================
+   /src/routes/imageRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Serve article images through us: /img/:id?w=640
+   - Only images of articles we hold (live or archived): not an
+     open proxy
+   - Resized WebP variants (imageProxy), long-lived caching; the
+     ETag follows the source URL, and pages add ?v= (a hash of it),
+     so a re-scraped image is never served stale
+   ============================================================ */
+
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Article = require('../models/article');
+const ArchivedArticle = require('../models/archivedArticle');
+const { getVariant, snapWidth } = require('../services/imageProxy');
+
+const router = express.Router();
+
+/* ---------- Tunables ---------- */
+const MAX_AGE_S = 7 * 24 * 60 * 60;
+const LOOKUP_MAX = 1000; // id → image URL memo size
+const LOOKUP_TTL_MS = 5 * 60 * 1000; // other processes may change an image meanwhile
+
+/* ---------- Helpers ---------- */
+const lookups = new Map(); // id → { url, at } (insertion-ordered → cheap LRU)
+
+async function imageUrlFor(id) {
+  const hit = lookups.get(id);
+  if (hit && Date.now() - hit.at < LOOKUP_TTL_MS) return hit.url;
+  const article = (await Article.findById(id).select('image').lean())
+    || (await ArchivedArticle.findById(id).select('image').lean());
+  const url = article?.image || '';
+  lookups.delete(id);
+  lookups.set(id, { url, at: Date.now() });
+  if (lookups.size > LOOKUP_MAX) lookups.delete(lookups.keys().next().value);
+  return url;
+}
+
+// an article's image changed (admin re-scrape) → look it up again
+function forgetImage(id) {
+  lookups.delete(String(id));
+}
+
+/* ---------- Routes ---------- */
+router.get('/img/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Image not found' });
+
+  try {
+    const url = await imageUrlFor(id);
+    if (!url) return res.status(404).json({ error: 'Image not found' });
+
+    const width = snapWidth(Array.isArray(req.query.w) ? req.query.w[0] : req.query.w);
+    res.set({
+      'Cache-Control': `public, max-age=${MAX_AGE_S}`,
+      ETag: `"${id}-${width}-${crypto.createHash('sha1').update(url).digest('hex').slice(0, 12)}"`
+    });
+    if (req.fresh) return res.status(304).end();
+
+    const { buffer } = await getVariant(id, url, width);
+    res.type('image/webp').send(buffer);
+  } catch (err) {
+    console.error(`Error proxying image for ${id}:`, err.message);
+    res.set('Cache-Control', 'no-store');
+    res.status(502).json({ error: 'Image unavailable' });
+  }
+});
+
+module.exports = router;
+module.exports.forgetImage = forgetImage;
@@ -0,0 +1,84 @@
+/* ============================================================
+   /src/routes/meRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Signed-in user's own data (session cookie required)
+   - GET  /me        → who am I
+   - GET  /me/read   → read article ids (optionally ?since=ISO)
+   - POST /me/read   → mark ids read (batched; idempotent)
+   ============================================================ */
+
+const express = require('express');
+const ReadState = require('../models/readState');
+const { requireUser } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+/* ---------- Caps ---------- */
+const MAX_MARK = 500;    // ids per POST
+const MAX_FETCH = 5000;  // ids per GET
+
+/* ---------- Helpers ---------- */
+function firstParam(val) {
+  return Array.isArray(val) ? val[0] : val;
+}
+
+// { ids: [...] } or { id } → unique, non-empty strings
+function parseIds(body = {}) {
+  const raw = Array.isArray(body.ids) ? body.ids : [body.id];
+  return [...new Set(raw.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim()))];
+}
+
+router.use('/me', requireUser);
+
+/* ---------- Routes ---------- */
+router.get('/me', (req, res) => {
+  res.status(200).json({ user: { id: String(req.user._id), email: req.user.email } });
+});
+
+router.get('/me/read', async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    const since = new Date(firstParam(req.query.since) || NaN);
+    if (!Number.isNaN(since.getTime())) query.readAt = { $gt: since };
+
+    const rows = await ReadState.find(query)
+      .sort({ readAt: -1 })
+      .limit(MAX_FETCH)
+      .select('articleId readAt -_id')
+      .lean();
+
+    res.status(200).json({
+      count: rows.length,
+      reads: rows.map(r => ({ id: r.articleId, readAt: r.readAt }))
+    });
+  } catch (err) {
+    console.error('Error fetching read state:', err.message);
+    res.status(500).json({ error: 'Failed to fetch read state' });
+  }
+});
+
+router.post('/me/read', async (req, res) => {
+  const ids = parseIds(req.body);
+  if (!ids.length) return res.status(400).json({ error: 'ids must be a non-empty array of strings' });
+  if (ids.length > MAX_MARK) return res.status(400).json({ error: `At most ${MAX_MARK} ids per request` });
+
+  try {
+    // first read wins: re-marking keeps the original readAt
+    const now = new Date();
+    await ReadState.bulkWrite(ids.map(articleId => ({
+      updateOne: {
+        filter: { userId: req.user._id, articleId },
+        update: { $setOnInsert: { userId: req.user._id, articleId, readAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    res.status(200).json({ marked: ids.length });
+  } catch (err) {
+    console.error('Error marking read:', err.message);
+    res.status(500).json({ error: 'Failed to mark read' });
+  }
+});
+
+module.exports = router;
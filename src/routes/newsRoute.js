@@ -6,16 +6,43 @@
    - Issue a "snapshot" (ISO datetime) on page 1
    - Constrain pages 2..N to createdAt <= snapshot to avoid drift
    - Keep FE default page size in sync (50)
+   - view=stories: one representative per story cluster + coverage
+   - lang=xx: only articles available in that language (newsFilters)
+   - category=a,b: only articles tagged with any of those categories
+   - cursor=<c>: keyset paging (createdAt/_id) instead of page/skip
+   - since=<c>: delta of articles added after the client's newest item,
+     plus ids removed (archived / deleted) since removedSince=<iso>
    ============================================================ */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Article = require('../models/article');
+const Tombstone = require('../models/tombstone');
+const {
+  buildFilters,
+  localize,
+  firstParam,
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan
+} = require('../services/newsFilters');
 
 const router = express.Router();
 
 /* ---------- Paging caps ---------- */
 const MAX_LIMIT = 100;     // hard cap
 const DEFAULT_LIMIT = 50;  // FE expects 50
+const MAX_REMOVED = 2000;  // more removals than this in one delta → client rebuilds
+// createdAt is set before the insert commits (and inserts run in parallel),
+// so an article can become visible after a delta whose cursor is already
+// past it; deltas re-send this window behind the cursor, clients dedupe by _id
+const DELTA_OVERLAP_MS = 2 * 60 * 1000;
+
+// top cursor of an empty first page: every later article is newer than it
+const EMPTY_CURSOR = encodeCursor({ createdAt: new Date(0), _id: new mongoose.Types.ObjectId('0'.repeat(24)) });
+
+const ARTICLE_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt storyId lang translations categories';
 
 /* ---------- Helpers ---------- */
 // parse numeric query param safely (supports arrays)
@@ -25,6 +52,106 @@ function parseIntParam(val, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+// Group matching articles by storyId; newest member represents the story.
+// Articles ingested before clustering existed form their own 1-item story.
+async function findStories(baseQuery, sortBy, skip, limit) {
+  const project = Object.fromEntries(ARTICLE_FIELDS.split(' ').map(f => [f, 1]));
+  const topSort = Object.fromEntries(Object.entries(sortBy).map(([k, v]) => [`top.${k}`, v]));
+
+  const [res] = await Article.aggregate([
+    { $match: baseQuery },
+    { $sort: sortBy },
+    { $project: project },
+    {
+      $group: {
+        _id: { $ifNull: ['$storyId', { $toString: '$_id' }] },
+        top: { $first: '$$ROOT' },
+        members: { $push: { _id: '$_id', title: '$title', link: '$link', source: '$source', pubDate: '$pubDate' } }
+      }
+    },
+    { $sort: topSort },
+    {
+      $facet: {
+        total: [{ $count: 'n' }],
+        items: [{ $skip: skip }, { $limit: limit }]
+      }
+    }
+  ]);
+
+  const total = res?.total?.[0]?.n || 0;
+  const stories = (res?.items || []).map(({ _id, top, members }) => {
+    const coverage = members.filter(m => String(m._id) !== String(top._id));
+    return {
+      ...top,
+      storyId: _id,
+      sourceCount: new Set(members.map(m => m.source)).size,
+      coverage
+    };
+  });
+  return [total, stories];
+}
+
+/* ---------- Delta: since=<cursor> ---------- */
+// Articles added after the client's newest item (oldest first, so a capped
+// response can be continued with the returned cursor), plus the ids that
+// left the feed (tombstones: archive sweep + admin deletes) since the
+// client's last sync. The client sends back `syncedAt` as removedSince;
+// without it the newest item's createdAt is used (a safe superset).
+// Tombstones expire, so a sync older than they reach gets `reset`.
+// Articles from the DELTA_OVERLAP_MS before the cursor come again (late
+// commits); they don't move the cursor.
+async function sendDelta(req, res, filter, lang, limit) {
+  const since = decodeCursor(req.query.since);
+  if (!since) return res.status(400).json({ error: 'Invalid since cursor' });
+
+  const syncedAt = new Date(); // before the queries: later removals show up next time
+  const sinceParam = firstParam(req.query.removedSince);
+  const removedSince = sinceParam ? new Date(sinceParam) : since.createdAt;
+  if (Number.isNaN(removedSince.getTime())) return res.status(400).json({ error: 'Invalid removedSince' });
+
+  if (syncedAt - removedSince > Tombstone.TTL_SECONDS * 1000) {
+    return res.status(200).json({ mode: 'delta', lang, reset: true });
+  }
+
+  const overlapFrom = new Date(since.createdAt.getTime() - DELTA_OVERLAP_MS);
+  const [late, rows, tombstones] = await Promise.all([
+    Article.find({ ...filter, createdAt: { $gte: overlapFrom, $lte: since.createdAt } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(MAX_LIMIT)
+      .select(ARTICLE_FIELDS)
+      .lean(),
+    Article.find({ ...filter, ...newerThan(since) })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .select(ARTICLE_FIELDS)
+      .lean(),
+    Tombstone.find({ removedAt: { $gte: removedSince } })
+      .limit(MAX_REMOVED + 1)
+      .select('_id')
+      .lean()
+  ]);
+  if (tombstones.length > MAX_REMOVED) {
+    return res.status(200).json({ mode: 'delta', lang, reset: true });
+  }
+
+  const hasMore = rows.length > limit;
+  const articles = rows.slice(0, limit);
+  const newest = articles[articles.length - 1];
+
+  res.status(200).json({
+    mode: 'delta',
+    lang,
+    count: articles.length,
+    hasMore,
+    cursor: newest ? encodeCursor(newest) : firstParam(req.query.since),
+    overlap: late.length,
+    syncedAt: syncedAt.toISOString(),
+    removed: tombstones.map(t => String(t._id)),
+    removedBefore: new Date(Date.now() - Article.RETENTION_SECONDS * 1000).toISOString(),
+    articles: [...late, ...articles].map(a => localize(a, lang))
+  });
+}
+
 router.get('/news', async (req, res) => {
   try {
     // -------- parse & sanitize --------
@@ -35,43 +162,79 @@ router.get('/news', async (req, res) => {
     const page = Math.max(parseIntParam(req.query.page, 1), 1);
     const skip = (page - 1) * limit;
 
+    const { filter, lang, categories } = buildFilters(req.query);
+    const view = firstParam(req.query.view) === 'stories' ? 'stories' : 'articles';
+    const keyset = req.query.cursor !== undefined || req.query.since !== undefined;
+
+    if (keyset && (view === 'stories' || req.query.sortBy === 'pubDate')) {
+      return res.status(400).json({ error: 'cursor/since only support the default article order' });
+    }
+
+    // -------- delta mode --------
+    if (req.query.since !== undefined) return sendDelta(req, res, filter, lang, limit);
+
     // stable newest-first ordering (prevents shuffling)
     const sortBy =
       req.query.sortBy === 'pubDate'
         ? { pubDate: -1, createdAt: -1, _id: -1 }
-        : { createdAt: -1, pubDate: -1, _id: -1 };
+        : keyset
+          ? { createdAt: -1, _id: -1 }
+          : { createdAt: -1, pubDate: -1, _id: -1 };
 
     // -------- snapshot handling --------
     // page 1: create fresh snapshot = "now"
     // page 2..N: reuse client's snapshot to freeze the dataset
-    const snapParam = Array.isArray(req.query.snapshot) ? req.query.snapshot[0] : req.query.snapshot;
+    const snapParam = firstParam(req.query.snapshot);
     let snapshot = snapParam ? new Date(snapParam) : null;
     if (!snapshot || Number.isNaN(snapshot.getTime())) {
       snapshot = new Date(); // anchor at first request
     }
 
-    const baseQuery = { createdAt: { $lte: snapshot } };
+    const baseQuery = { ...filter, createdAt: { $lte: snapshot } };
+
+    // -------- keyset page (cursor=) --------
+    // empty cursor → first page; otherwise items older than the cursor
+    let pageQuery = baseQuery;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+      pageQuery = { $and: [baseQuery, olderThan(cursor)] };
+    }
 
     // -------- query --------
-    const [total, articles] = await Promise.all([
-      Article.countDocuments(baseQuery),
-      Article.find(baseQuery)
-        .sort(sortBy)
-        .skip(skip)
-        .limit(limit)
-        .select('title summary link source pubDate image createdAt')
-        .lean()
-    ]);
-
-    res.status(200).json({
+    const [total, articles] = view === 'stories'
+      ? await findStories(baseQuery, sortBy, skip, limit)
+      : await Promise.all([
+        Article.countDocuments(baseQuery),
+        Article.find(pageQuery)
+          .sort(sortBy)
+          .skip(keyset ? 0 : skip)
+          .limit(limit)
+          .select(ARTICLE_FIELDS)
+          .lean()
+      ]);
+
+    const body = {
+      view,
+      lang,
+      categories,
       page,
       limit,
       totalPages: Math.max(1, Math.ceil(total / limit)),
       totalArticles: total,
       snapshot: snapshot.toISOString(), // client reuses this for pages 2..N
       count: articles.length,
-      articles
-    });
+      articles: articles.map(a => localize(a, lang))
+    };
+
+    if (keyset) {
+      const last = articles[articles.length - 1];
+      body.nextCursor = articles.length === limit && last ? encodeCursor(last) : null;
+      // newest item's cursor, for since= deltas later (first page only)
+      if (!req.query.cursor) body.topCursor = articles[0] ? encodeCursor(articles[0]) : EMPTY_CURSOR;
+    }
+
+    res.status(200).json(body);
   } catch (err) {
     console.error('Error generating news feed:', err.message);
     res.status(500).json({ error: 'Failed to generate news' });
@@ -9,6 +9,7 @@
 
 const express = require('express');
 const Article = require('../models/article');
+const { CATEGORIES } = require('../services/classifier');
 const router = express.Router();
 
 /* How many articles to send with the initial SSR render.
@@ -25,11 +26,13 @@ router.get('/', async (req, res) => {
       .select('title summary link source pubDate image createdAt') // keep payload lean
       .lean(); // faster plain JS objects
 
-    // Small cache to ease repeated hits (tune as you like)
-    res.set('Cache-Control', 'public, max-age=30');
+    // Small cache to ease repeated hits (tune as you like);
+    // signed-in pages carry the account menu → never shared
+    res.set('Cache-Control', req.user ? 'private, no-store' : 'public, max-age=30');
+    res.vary('Cookie');
 
     // Render the initial view; FE will fetch more via /news
-    res.render('index', { articles, page: 1 });
+    res.render('index', { articles, page: 1, categories: CATEGORIES });
   } catch (err) {
     console.error('Error loading homepage:', err.message);
     res.status(500).send('Error loading homepage.');
@@ -0,0 +1,128 @@
+/* ============================================================
+   /src/routes/queueRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Inspect the ingestion queue (/admin/queue), filter by state
+   - Per-state counts for a quick overview
+   - Requeue dead-letter / failed items (one or all dead)
+   - Raw HTML last fetched for an item's link (scrape debugging)
+   ============================================================ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const IngestItem = require('../models/ingestItem');
+const RawPage = require('../models/rawPage');
+const ingestQueue = require('../services/ingestQueue');
+
+// /admin routes: adminAuth is mounted once in server.js
+const router = express.Router();
+
+/* ---------- Paging caps ---------- */
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+/* ---------- Helpers ---------- */
+function parseIntParam(val, fallback) {
+  if (Array.isArray(val)) val = val[0];
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/* ---------- List ---------- */
+// GET /admin/queue?state=dead&page=1&limit=20
+router.get('/admin/queue', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseIntParam(req.query.limit, DEFAULT_LIMIT), 1), MAX_LIMIT);
+    const page = Math.max(parseIntParam(req.query.page, 1), 1);
+    const state = Array.isArray(req.query.state) ? req.query.state[0] : req.query.state;
+
+    if (state && !IngestItem.STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be one of ${IngestItem.STATES.join(', ')}` });
+    }
+    const query = state ? { state } : {};
+
+    const [total, items, byState] = await Promise.all([
+      IngestItem.countDocuments(query),
+      IngestItem.find(query)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-content -feedContent')
+        .lean(),
+      IngestItem.aggregate([{ $group: { _id: '$state', n: { $sum: 1 } } }])
+    ]);
+
+    res.status(200).json({
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      total,
+      counts: Object.fromEntries(byState.map(s => [s._id, s.n])),
+      items
+    });
+  } catch (err) {
+    console.error('Error listing ingestion queue:', err.message);
+    res.status(500).json({ error: 'Failed to list queue' });
+  }
+});
+
+/* ---------- Detail ---------- */
+router.get('/admin/queue/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const item = await IngestItem.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.status(200).json(item);
+  } catch (err) {
+    console.error('Error loading queue item:', err.message);
+    res.status(500).json({ error: 'Failed to load item' });
+  }
+});
+
+// raw HTML as fetched (kept RAW_HTML_TTL_HOURS); served as text, never rendered
+router.get('/admin/queue/:id/html', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const item = await IngestItem.findById(req.params.id).select('link feedLink').lean();
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    const page = await RawPage.findOne({ url: item.feedLink || item.link }).lean();
+    if (!page) return res.status(404).json({ error: 'No raw HTML cached for this item' });
+
+    res.set({
+      'X-Fetched-At': page.fetchedAt.toISOString(),
+      'X-Source-Charset': page.charset,
+      'X-Source-Bytes': String(page.bytes)
+    });
+    res.type('text/plain; charset=utf-8').send(page.html);
+  } catch (err) {
+    console.error('Error loading raw HTML:', err.message);
+    res.status(500).json({ error: 'Failed to load raw HTML' });
+  }
+});
+
+/* ---------- Requeue ---------- */
+// requeue every dead-letter item
+router.post('/admin/queue/requeue-dead', async (req, res) => {
+  try {
+    const requeued = await ingestQueue.requeueAllDead();
+    res.status(200).json({ requeued });
+  } catch (err) {
+    console.error('Error requeueing dead items:', err.message);
+    res.status(500).json({ error: 'Failed to requeue' });
+  }
+});
+
+router.post('/admin/queue/:id/requeue', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const out = await ingestQueue.requeue(req.params.id);
+    if (!out) return res.status(404).json({ error: 'Item not found' });
+    if (!out.requeued) return res.status(409).json({ error: `Item is ${out.item.state}, not failed or dead` });
+    res.status(200).json(out.item);
+  } catch (err) {
+    console.error('Error requeueing item:', err.message);
+    res.status(500).json({ error: 'Failed to requeue' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/* ============================================================
+   /src/routes/runRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Paginated ingestion run history (/admin/runs), newest first
+   - Optional mode / status filters
+   - Per-run detail with feed, article and error breakdown
+   ============================================================ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const JobRun = require('../models/jobRun');
+
+// /admin routes: adminAuth is mounted once in server.js
+const router = express.Router();
+
+/* ---------- Paging caps ---------- */
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+/* ---------- Helpers ---------- */
+function parseIntParam(val, fallback) {
+  if (Array.isArray(val)) val = val[0];
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function firstParam(val) {
+  return Array.isArray(val) ? val[0] : val;
+}
+
+/* ---------- List ---------- */
+// GET /admin/runs?page=1&limit=20&mode=recurring&status=failed
+router.get('/admin/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseIntParam(req.query.limit, DEFAULT_LIMIT), 1), MAX_LIMIT);
+    const page = Math.max(parseIntParam(req.query.page, 1), 1);
+
+    const query = {};
+    const mode = firstParam(req.query.mode);
+    const status = firstParam(req.query.status);
+    if (mode) query.mode = mode;
+    if (status) query.status = status;
+
+    const [total, runs] = await Promise.all([
+      JobRun.countDocuments(query),
+      JobRun.find(query)
+        .sort({ startedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-articles -feeds') // detail view has these
+        .lean()
+    ]);
+
+    res.status(200).json({
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      total,
+      runs
+    });
+  } catch (err) {
+    console.error('Error listing job runs:', err.message);
+    res.status(500).json({ error: 'Failed to list runs' });
+  }
+});
+
+/* ---------- Detail ---------- */
+router.get('/admin/runs/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Run not found' });
+    const run = await JobRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.status(200).json(run);
+  } catch (err) {
+    console.error('Error loading job run:', err.message);
+    res.status(500).json({ error: 'Failed to load run' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/* ============================================================
+   /src/routes/searchRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Full-text search over titles, summaries and sources (/search?q=)
+   - Relevance-ranked (textScore, then newest), paginated
+   - Same response shape + filters (lang, category) as /news
+   - Highlighted title / summary + short match snippet
+     (HTML-escaped, matches wrapped in <mark>)
+   ============================================================ */
+
+const express = require('express');
+const Article = require('../models/article');
+const { buildFilters, localize, firstParam } = require('../services/newsFilters');
+
+const router = express.Router();
+
+/* ---------- Paging caps ---------- */
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_QUERY = 200;
+const SNIPPET_LEN = 180;
+
+const ARTICLE_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt storyId lang translations categories';
+const PROJECTION = {
+  ...Object.fromEntries(ARTICLE_FIELDS.split(' ').map(f => [f, 1])),
+  score: { $meta: 'textScore' }
+};
+
+/* ---------- Helpers ---------- */
+function parseIntParam(val, fallback) {
+  if (Array.isArray(val)) val = val[0];
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeHTML(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// query terms (quotes / negations stripped) as one prefix-matching regex
+function termsRegex(q) {
+  const terms = q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(t => t && !t.startsWith('-'))
+    .map(t => t.replace(/[^\p{L}\p{N}]+/gu, ''))
+    .filter(t => t.length > 1);
+  if (!terms.length) return null;
+  return new RegExp(`(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+// escape text and wrap matches in <mark>
+function markMatches(text, re) {
+  if (!re) return escapeHTML(text);
+  let out = '';
+  let last = 0;
+  for (const m of text.matchAll(re)) {
+    out += escapeHTML(text.slice(last, m.index)) + `<mark>${escapeHTML(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHTML(text.slice(last));
+}
+
+// window of the text around the first match
+function snippet(text = '', re) {
+  if (text.length <= SNIPPET_LEN) return markMatches(text, re);
+  const first = re ? text.search(re) : -1;
+  const start = Math.max(0, Math.min(first - 40, text.length - SNIPPET_LEN));
+  const cut = text.slice(Math.max(0, start), start + SNIPPET_LEN);
+  return `${start > 0 ? '…' : ''}${markMatches(cut, re)}${start + SNIPPET_LEN < text.length ? '…' : ''}`;
+}
+
+/* ---------- Search ---------- */
+// GET /search?q=monsoon&page=1&limit=20[&lang=hi][&category=world]
+router.get('/search', async (req, res) => {
+  try {
+    const q = String(firstParam(req.query.q) || '').trim().slice(0, MAX_QUERY);
+    if (q.length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+
+    const limit = Math.min(Math.max(parseIntParam(req.query.limit, DEFAULT_LIMIT), 1), MAX_LIMIT);
+    const page = Math.max(parseIntParam(req.query.page, 1), 1);
+
+    const { filter, lang, categories } = buildFilters(req.query);
+    const query = { ...filter, $text: { $search: q } };
+
+    const [total, docs] = await Promise.all([
+      Article.countDocuments(query),
+      Article.find(query, PROJECTION)
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    const re = termsRegex(q);
+    const articles = docs.map(d => {
+      const a = localize(d, lang);
+      return {
+        ...a,
+        highlight: {
+          title: markMatches(a.title || '', re),
+          summary: markMatches(a.summary || '', re),
+          snippet: snippet(a.summary || '', re)
+        }
+      };
+    });
+
+    res.status(200).json({
+      q,
+      lang,
+      categories,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      totalArticles: total,
+      count: articles.length,
+      articles
+    });
+  } catch (err) {
+    console.error('Error searching news:', err.message);
+    res.status(500).json({ error: 'Failed to search news' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/* ============================================================
+   /src/routes/streamRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Server-Sent Events feed of newly saved articles (/news/stream)
+   - Same lang / category / source filters as /news (lang also localizes)
+   - Event id is the /news cursor: on reconnect, Last-Event-ID
+     (or ?since=) replays what was missed
+   - Heartbeat comments keep proxies from closing idle streams
+   ============================================================ */
+
+const express = require('express');
+const Article = require('../models/article');
+const { subscribe } = require('../services/articleEvents');
+const {
+  buildFilters,
+  localize,
+  encodeCursor,
+  decodeCursor,
+  newerThan
+} = require('../services/newsFilters');
+
+const router = express.Router();
+
+/* ---------- Tunables ---------- */
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 10 * 1000;  // client reconnect delay
+const REPLAY_MAX = 100;
+
+const ARTICLE_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt storyId lang translations categories';
+
+/* ---------- Helpers ---------- */
+// in-memory twin of buildFilters() for live events
+function matches(article, { lang, categories, sources }) {
+  if (categories.length && !(article.categories || []).some(c => categories.includes(c))) return false;
+  if (sources.length && !sources.some(s => s.toLowerCase() === String(article.source || '').toLowerCase())) return false;
+  if (!lang) return true;
+  const own = article.lang || 'en';
+  return own === lang || (article.translations || []).some(t => t.lang === lang);
+}
+
+function writeEvent(res, article, lang) {
+  res.write(`id: ${encodeCursor(article)}\n`);
+  res.write('event: article\n');
+  res.write(`data: ${JSON.stringify(localize(article, lang))}\n\n`);
+}
+
+/* ---------- Routes ---------- */
+/**
+ * GET /news/stream
+ * Query: lang, category, source, since (cursor; Last-Event-ID header wins)
+ * Events: "article" (data = article JSON, id = cursor)
+ */
+router.get('/news/stream', async (req, res) => {
+  const filters = buildFilters(req.query);
+  const { filter, lang } = filters;
+  const since = decodeCursor(req.get('Last-Event-ID') || req.query.since);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // subscribe first so nothing saved during the replay query is lost;
+  // hold live events until the replay has been written
+  let pending = [];
+  const unsubscribe = subscribe(article => {
+    if (!matches(article, filters)) return;
+    if (pending) pending.push(article);
+    else writeEvent(res, article, lang);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const sent = new Set();
+  try {
+    if (since) {
+      const missed = await Article.find({ ...filter, ...newerThan(since) })
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(REPLAY_MAX)
+        .select(ARTICLE_FIELDS)
+        .lean();
+      for (const a of missed) {
+        sent.add(String(a._id));
+        writeEvent(res, a, lang);
+      }
+    }
+  } catch (err) {
+    console.error('Error replaying news stream:', err.message);
+  }
+
+  for (const a of pending) if (!sent.has(String(a._id))) writeEvent(res, a, lang);
+  pending = null;
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+/* ============================================================
+   /src/routes/syndicationRoute.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Publish the latest summaries as feeds:
+     /feed.xml (RSS 2.0), /atom.xml (Atom 1.0), /feed.json (JSON Feed)
+   - Same filters as /news: lang, category, source (newsFilters)
+   - Conditional GET: ETag + Last-Modified → 304 when unchanged
+     (the ETag covers title / summary / image, so re-summarised or
+     re-scraped articles reach readers)
+   - Images through the /img proxy, not hotlinked
+   ============================================================ */
+
+const crypto = require('crypto');
+const express = require('express');
+const Article = require('../models/article');
+const { buildFilters, localize } = require('../services/newsFilters');
+const { buildRss, buildAtom, buildJsonFeed } = require('../services/feedBuilder');
+
+const router = express.Router();
+
+/* ---------- Tunables ---------- */
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 30;
+const MAX_AGE_S = 300; // readers poll; let proxies absorb it
+const IMAGE_WIDTH = 640; // /img/:id?w= variant for enclosures
+
+const ARTICLE_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt lang translations categories';
+
+const FORMATS = {
+  rss:  { type: 'application/rss+xml; charset=utf-8',  build: buildRss },
+  atom: { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+/* ---------- Helpers ---------- */
+function parseIntParam(val, fallback) {
+  if (Array.isArray(val)) val = val[0];
+  const n = parseInt(val, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function siteUrl(req) {
+  const configured = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+  return configured || `${req.protocol}://${req.get('host')}`;
+}
+
+// absolute /img proxy URL; v= changes with the source image (see imageRoute)
+function proxiedImage(base, a) {
+  if (!a.image) return '';
+  const v = crypto.createHash('sha1').update(a.image).digest('hex').slice(0, 8);
+  return `${base}/img/${a._id}?w=${IMAGE_WIDTH}&v=${v}`;
+}
+
+// "News-In-kB · sports, tech · NDTV"
+function feedTitle({ categories, sources }) {
+  return ['News-In-kB', categories.join(', '), sources.join(', ')].filter(Boolean).join(' · ');
+}
+
+/* ---------- Routes ---------- */
+function serveFeed(format) {
+  const { type, build } = FORMATS[format];
+
+  return async (req, res) => {
+    try {
+      const limit = Math.min(
+        Math.max(parseIntParam(req.query.limit, DEFAULT_LIMIT), 1),
+        MAX_LIMIT
+      );
+      const filters = buildFilters(req.query);
+
+      const rows = await Article.find(filters.filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .select(ARTICLE_FIELDS)
+        .lean();
+
+      const base = siteUrl(req);
+      const items = rows.map(a => ({ ...localize(a, filters.lang), image: proxiedImage(base, a) }));
+
+      // validators from what will be rendered: edits to an article change the ETag
+      const updated = rows[0] ? new Date(rows[0].createdAt) : new Date(0);
+      const hash = crypto.createHash('sha1').update(`${format}|${req.originalUrl}`);
+      for (const a of items) hash.update(`|${a._id}:${a.createdAt?.getTime()}:${a.title}\n${a.summary}\n${a.image}`);
+      const etag = hash.digest('base64url');
+
+      res.set({
+        'Cache-Control': `public, max-age=${MAX_AGE_S}`,
+        ETag: `W/"${etag}"`,
+        'Last-Modified': updated.toUTCString()
+      });
+      if (req.fresh) return res.status(304).end();
+
+      const meta = {
+        title: feedTitle(filters),
+        description: 'Quick, clean, 100-word news summaries.',
+        siteUrl: base,
+        selfUrl: `${base}${req.originalUrl}`,
+        lang: filters.lang,
+        updated
+      };
+
+      res.type(type).send(build(meta, items));
+    } catch (err) {
+      console.error(`Error generating ${format} feed:`, err.message);
+      res.status(500).json({ error: 'Failed to generate feed' });
+    }
+  };
+}
+
+router.get('/feed.xml', serveFeed('rss'));
+router.get('/atom.xml', serveFeed('atom'));
+router.get('/feed.json', serveFeed('json'));
+
+module.exports = router;
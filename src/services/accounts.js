@@ -0,0 +1,151 @@
+/* ============================================================
+   /src/services/accounts.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Optional lightweight accounts: email + password and/or
+     magic links (single-use, short-lived, sent via mailer)
+   - Password hashing with scrypt (salted, constant-time verify)
+   - Cookie sessions: random token in the cookie, only its
+     sha256 stored (Session, TTL-expired)
+   ============================================================ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginToken = require('../models/loginToken');
+
+const scrypt = promisify(crypto.scrypt);
+
+/* ---------- Tunables ---------- */
+const SESSION_TTL_MS = Math.max(1, Number(process.env.SESSION_TTL_DAYS || 30)) * 24 * 60 * 60 * 1000;
+const MAGIC_TTL_MS   = 15 * 60 * 1000;
+const MIN_PASSWORD   = 8;
+const KEY_LEN        = 64;
+
+/* ---------- Errors ---------- */
+// Carries an HTTP status so routes can map it directly
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/* ---------- Helpers ---------- */
+function sha256(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) || e.length > 254) throw new AuthError('Invalid email');
+  return e;
+}
+
+/* ---------- Passwords ---------- */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const key = await scrypt(String(password), salt, KEY_LEN);
+  return `scrypt$${salt}$${key.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored = '') {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/* ---------- Sign-up / sign-in ---------- */
+async function register(email, password) {
+  email = normalizeEmail(email);
+  if (String(password || '').length < MIN_PASSWORD) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD} characters`);
+  }
+
+  // existing accounts (incl. magic-link-only ones) sign in instead;
+  // setting a password on them here would let anyone take them over
+  try {
+    return await User.create({ email, passwordHash: await hashPassword(password) });
+  } catch (e) {
+    if (e?.code === 11000) throw new AuthError('Email already registered', 409);
+    throw e;
+  }
+}
+
+async function login(email, password) {
+  email = normalizeEmail(email);
+  const user = await User.findOne({ email });
+  // same answer for unknown email and wrong password
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new AuthError('Invalid email or password', 401);
+  }
+  return user;
+}
+
+/* ---------- Magic links ---------- */
+// Returns the raw token to put in the emailed link
+async function createMagicToken(email) {
+  email = normalizeEmail(email);
+  const token = randomToken();
+  await LoginToken.create({ _id: sha256(token), email, expiresAt: new Date(Date.now() + MAGIC_TTL_MS) });
+  return token;
+}
+
+// Single use: the token is deleted as it is redeemed
+async function redeemMagicToken(token) {
+  const doc = await LoginToken.findOneAndDelete({ _id: sha256(token), expiresAt: { $gt: new Date() } }).lean();
+  if (!doc) throw new AuthError('Link expired or already used', 401);
+
+  const user = await User.findOne({ email: doc.email });
+  if (!user) return User.create({ email: doc.email, emailVerifiedAt: new Date() });
+
+  // a password set before the address was ever proven could be anyone's
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+    user.passwordHash = '';
+  }
+  return user.save();
+}
+
+/* ---------- Sessions ---------- */
+// Returns { token, expiresAt } for the cookie
+async function createSession(user, userAgent = '') {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({ _id: sha256(token), userId: user._id, userAgent: userAgent.slice(0, 300), expiresAt });
+  await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+  return { token, expiresAt };
+}
+
+// → user (lean) or null
+async function resolveSession(token) {
+  if (!token) return null;
+  const session = await Session.findOne({ _id: sha256(token), expiresAt: { $gt: new Date() } }).lean();
+  if (!session) return null;
+  return User.findById(session.userId).select('email emailVerifiedAt createdAt').lean();
+}
+
+async function destroySession(token) {
+  if (token) await Session.deleteOne({ _id: sha256(token) });
+}
+
+/* ---------- Exports ---------- */
+module.exports = {
+  AuthError,
+  SESSION_TTL_MS,
+  register,
+  login,
+  createMagicToken,
+  redeemMagicToken,
+  createSession,
+  resolveSession,
+  destroySession
+};
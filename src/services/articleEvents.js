@@ -0,0 +1,140 @@
+/* ============================================================
+   /src/services/articleEvents.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - In-process bus for "article saved" events (feeds /news/stream)
+   - Local announce() from the ingestion job (same process)
+   - Cross-process: MongoDB change stream on articles, falling
+     back to polling when change streams are unavailable
+     (standalone mongod, no replica set)
+   - Watch only while someone is subscribed; dedupe by _id
+   ============================================================ */
+
+const { EventEmitter } = require('events');
+const Article = require('../models/article');
+const { newerThan } = require('./newsFilters');
+
+/* ---------- Tunables ---------- */
+// auto | changestream | poll | local
+const SOURCE  = (process.env.NEWS_STREAM_SOURCE || 'auto').toLowerCase();
+const POLL_MS = Math.max(2000, Number(process.env.NEWS_STREAM_POLL_MS || 15000));
+const POLL_BATCH = 100;
+const RECENT_MAX = 500;
+
+const EVENT_FIELDS = 'title summary link source pubDate image imageWidth imageHeight createdAt storyId lang translations categories';
+const PICK = EVENT_FIELDS.split(' ');
+
+/* ---------- State ---------- */
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open SSE connection
+
+const recent = new Set(); // _ids already emitted (insertion-ordered)
+let changeStream = null;
+let pollTimer = null;
+let pollCursor = null;
+
+/* ---------- Emit ---------- */
+function pick(doc) {
+  const out = { _id: doc._id };
+  for (const f of PICK) if (doc[f] !== undefined) out[f] = doc[f];
+  return out;
+}
+
+function emit(doc) {
+  if (!doc?._id) return;
+  const id = String(doc._id);
+  if (recent.has(id)) return;
+  recent.add(id);
+  if (recent.size > RECENT_MAX) recent.delete(recent.values().next().value);
+  bus.emit('article', pick(doc));
+}
+
+// Called by the ingestion job right after Article.create
+function announce(doc) {
+  emit(typeof doc?.toObject === 'function' ? doc.toObject() : doc);
+}
+
+/* ---------- Change stream ---------- */
+function startChangeStream() {
+  try {
+    changeStream = Article.watch([{ $match: { operationType: 'insert' } }]);
+  } catch {
+    return false;
+  }
+  changeStream.on('change', change => emit(change.fullDocument));
+  changeStream.on('error', err => {
+    // typically "$changeStream is only supported on replica sets"
+    console.warn('Article change stream unavailable, polling instead:', err.message);
+    stopChangeStream();
+    if (SOURCE === 'auto' && bus.listenerCount('article')) startPolling();
+  });
+  return true;
+}
+
+function stopChangeStream() {
+  if (!changeStream) return;
+  changeStream.removeAllListeners();
+  changeStream.close().catch(() => {});
+  changeStream = null;
+}
+
+/* ---------- Polling fallback ---------- */
+async function pollOnce() {
+  if (!pollCursor) {
+    // start from the newest article: only report what arrives from now on
+    const top = await Article.findOne().sort({ createdAt: -1, _id: -1 }).select('createdAt').lean();
+    pollCursor = top ? { createdAt: top.createdAt, id: top._id } : { createdAt: new Date(0), id: null };
+    return;
+  }
+  const query = pollCursor.id ? newerThan(pollCursor) : {};
+  const rows = await Article.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(POLL_BATCH)
+    .select(EVENT_FIELDS)
+    .lean();
+  for (const a of rows) {
+    emit(a);
+    pollCursor = { createdAt: a.createdAt, id: a._id };
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  const tick = () => pollOnce().catch(e => console.error('Article poll failed:', e.message));
+  tick();
+  pollTimer = setInterval(tick, POLL_MS);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  pollCursor = null;
+}
+
+/* ---------- Watch lifecycle ---------- */
+function startWatching() {
+  if (changeStream || pollTimer || SOURCE === 'local') return;
+  if (SOURCE === 'poll' || !startChangeStream()) startPolling();
+}
+
+function stopWatching() {
+  stopChangeStream();
+  stopPolling();
+}
+
+/**
+ * Listen for newly saved articles (from this or any other process).
+ * @param {(article: object) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+function subscribe(fn) {
+  bus.on('article', fn);
+  startWatching();
+  return () => {
+    bus.off('article', fn);
+    if (!bus.listenerCount('article')) stopWatching();
+  };
+}
+
+/* ---------- Exports ---------- */
+module.exports = { announce, subscribe };
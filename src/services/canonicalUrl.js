@@ -0,0 +1,87 @@
+/* ============================================================
+   /src/services/canonicalUrl.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - One URL per story, so dedup doesn't key on feed noise:
+     · tracking params (utm_*, fbclid, gclid, …) dropped
+     · fragment, default port, host case normalised
+     · AMP variants (/amp, .amp.html, ?amp=1, amp. hosts) → page
+     · mobile hosts (m., mobile.) → www.
+     · remaining query params sorted
+   - Pick the best canonical for a fetched page: its
+     <link rel="canonical">, else where the redirects ended
+   ============================================================ */
+
+const { URL } = require('url');
+
+/* ---------- Rules ---------- */
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ocid', 'cmpid', 'ncid', 'icid', 'ito', 'spm', 'taid', 's_cid',
+  'ref', 'ref_src', 'ref_url', 'amp'
+]);
+const TRACKING_PREFIXES = ['utm_', 'at_', 'pk_', 'hsa_', 'mkt_'];
+const MOBILE_HOST = /^(?:m|mobile|amp)\./i;
+const AMP_PATH = [
+  [/\/amp\/?$/i, ''],        // /story/123/amp
+  [/^\/amp\//i, '/'],        // /amp/story/123
+  [/\.amp(\.html?)?$/i, '$1'] // /story-123.amp.html → /story-123.html
+];
+
+/* ---------- Helpers ---------- */
+function isTracking(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(p => key.startsWith(p));
+}
+
+/* ---------- API ---------- */
+/**
+ * Normalised form of an article URL ('' if it isn't an http(s) URL).
+ * @param {string} raw
+ * @returns {string}
+ */
+function canonicalizeUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw || '').trim());
+  } catch {
+    return '';
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return '';
+
+  u.hash = '';
+  u.username = '';
+  u.password = '';
+  u.hostname = u.hostname.toLowerCase().replace(/\.$/, '');
+  if (MOBILE_HOST.test(u.hostname) && u.hostname.split('.').length > 2) {
+    u.hostname = u.hostname.replace(MOBILE_HOST, 'www.');
+  }
+
+  for (const [re, to] of AMP_PATH) u.pathname = u.pathname.replace(re, to);
+  u.pathname = u.pathname.replace(/\/{2,}/g, '/');
+
+  const params = [...u.searchParams].filter(([name]) => !isTracking(name));
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = new URLSearchParams(params).toString();
+
+  return u.href;
+}
+
+/**
+ * Canonical URL for a fetched page.
+ * @param {{ declared?: string, finalUrl?: string, requested: string }} page
+ *   declared: <link rel="canonical"> (resolved); finalUrl: after redirects
+ * @returns {string}
+ */
+function pageCanonical({ declared, finalUrl, requested }) {
+  const fallback = canonicalizeUrl(finalUrl) || canonicalizeUrl(requested);
+  const canonical = canonicalizeUrl(declared);
+  if (!canonical) return fallback;
+  // a sitewide tag pointing every article at the home page is a CMS bug, not a canonical
+  const path = new URL(canonical).pathname;
+  if (path === '/' && new URL(fallback || canonical).pathname !== '/') return fallback;
+  return canonical;
+}
+
+/* ---------- Exports ---------- */
+module.exports = { canonicalizeUrl, pageCanonical };
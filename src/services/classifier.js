@@ -0,0 +1,161 @@
+/* ============================================================
+   /src/services/classifier.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Tag articles with one or more topic categories during ingestion
+   - Feed-level hints (feed tags that name a category)
+   - Keyword rules over title + text (weighted, title counts double)
+   - Optional LLM pass through the summarizer providers
+     (CLASSIFY_WITH_LLM=true); keyword rules are the fallback
+   - Always return at least one category ("general")
+   ============================================================ */
+
+const { complete } = require('./summarizer');
+
+/* ---------- Categories ---------- */
+const CATEGORIES = [
+  'politics', 'business', 'sports', 'tech', 'world',
+  'entertainment', 'health', 'science', 'general'
+];
+
+/* ---------- Tunables ---------- */
+const USE_LLM       = String(process.env.CLASSIFY_WITH_LLM || '').toLowerCase() === 'true';
+const MIN_SCORE     = 3;     // keyword score needed to tag a category
+const MAX_TAGS      = 3;
+const SCAN_CHARS    = 3000;  // only the top of the article matters
+
+/* ---------- Keyword Rules ---------- */
+// lowercase words / phrases, matched as whole words (plural -s / -es too)
+const KEYWORDS = {
+  politics: [
+    'election', 'minister', 'parliament', 'lok sabha', 'rajya sabha', 'assembly', 'bjp', 'congress',
+    'opposition', 'cabinet', 'mla', 'chief minister', 'poll', 'campaign', 'party', 'governor',
+    'चुनाव', 'मंत्री', 'सांसद', 'विधायक', 'भाजपा', 'कांग्रेस'
+  ],
+  business: [
+    'market', 'sensex', 'nifty', 'shares', 'stock', 'rbi', 'inflation', 'gdp', 'economy', 'revenue',
+    'profit', 'ipo', 'investor', 'rupee', 'bank', 'startup', 'tariff', 'trade', 'earnings',
+    'बाजार', 'शेयर', 'अर्थव्यवस्था'
+  ],
+  sports: [
+    'cricket', 'match', 'wicket', 'innings', 'ipl', 'bcci', 'football', 'hockey', 'olympic', 'tournament',
+    'medal', 'captain', 'coach', 'goal', 'tennis', 'badminton', 'world cup', 'test series',
+    'क्रिकेट', 'मैच', 'खिलाड़ी'
+  ],
+  tech: [
+    'technology', 'smartphone', 'iphone', 'android', 'artificial intelligence', 'software', 'app',
+    'google', 'apple', 'microsoft', 'meta', 'startup', 'cyber', 'internet', 'chip', 'semiconductor', 'isro launch',
+    'तकनीक', 'स्मार्टफोन'
+  ],
+  world: [
+    'united states', 'us president', 'white house', 'china', 'pakistan', 'russia', 'ukraine', 'israel',
+    'gaza', 'united nations', 'foreign minister', 'bilateral', 'embassy', 'summit', 'global',
+    'अमेरिका', 'चीन', 'पाकिस्तान'
+  ],
+  entertainment: [
+    'bollywood', 'film', 'movie', 'actor', 'actress', 'box office', 'trailer', 'series', 'ott', 'netflix',
+    'album', 'singer', 'celebrity', 'director', 'release date',
+    'फिल्म', 'अभिनेता', 'अभिनेत्री'
+  ],
+  health: [
+    'hospital', 'doctor', 'disease', 'virus', 'vaccine', 'covid', 'health', 'patients', 'medical',
+    'dengue', 'cancer', 'outbreak',
+    'अस्पताल', 'स्वास्थ्य'
+  ],
+  science: [
+    'isro', 'nasa', 'space', 'satellite', 'scientists', 'research', 'study finds', 'climate', 'species',
+    'monsoon', 'earthquake', 'rocket', 'moon', 'mars',
+    'वैज्ञानिक', 'अंतरिक्ष'
+  ]
+};
+
+// acronyms that are ordinary words in lowercase ("who", "un"):
+// matched case-sensitively on the original text
+const ACRONYMS = {
+  politics: ['MP', 'MLA'],
+  tech: ['AI'],
+  world: ['UN'],
+  health: ['WHO']
+};
+
+/* ---------- Helpers ---------- */
+// whole word: no letter / mark (Devanagari matras) / digit on either side;
+// \b can't be used, it only knows ASCII word characters
+function wordRegExp(word, flags) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ +/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?:s|es)?(?![\\p{L}\\p{M}\\p{N}])`, flags);
+}
+
+// compiled once: { category: [RegExp] }, lowercase keywords + exact-case acronyms
+const RULES = Object.fromEntries(
+  Object.keys(KEYWORDS).map(cat => [cat, [
+    ...KEYWORDS[cat].map(w => ({ re: wordRegExp(w, 'gu'), exact: false })),
+    ...(ACRONYMS[cat] || []).map(w => ({ re: wordRegExp(w, 'gu'), exact: true }))
+  ]])
+);
+
+function countHits(text, re) {
+  return (text.match(re) || []).length;
+}
+
+function keywordCategories(title = '', text = '') {
+  const body = text.slice(0, SCAN_CHARS);
+  const lower = { title: title.toLowerCase(), body: body.toLowerCase() };
+
+  const scored = Object.entries(RULES)
+    .map(([cat, rules]) => [
+      cat,
+      rules.reduce((s, { re, exact }) =>
+        s + 2 * countHits(exact ? title : lower.title, re) + countHits(exact ? body : lower.body, re), 0)
+    ])
+    .filter(([, score]) => score >= MIN_SCORE)
+    .sort((a, b) => b[1] - a[1]);
+
+  return scored.slice(0, MAX_TAGS).map(([cat]) => cat);
+}
+
+async function llmCategories(title, text) {
+  const allowed = CATEGORIES.filter(c => c !== 'general');
+  const out = await complete([
+    {
+      role: 'system',
+      content: `Classify the news article into 1-${MAX_TAGS} of these categories: ${allowed.join(', ')}. ` +
+        'Reply with the category names only, comma-separated, most relevant first.'
+    },
+    { role: 'user', content: `${title}\n\n${text.slice(0, SCAN_CHARS)}` }
+  ]);
+  if (!out?.text) return null;
+
+  const cats = out.text
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(c => allowed.includes(c));
+  return cats.length ? [...new Set(cats)].slice(0, MAX_TAGS) : null;
+}
+
+/* ---------- Main ---------- */
+/**
+ * Pick categories for an article.
+ * @param {{ title: string, content: string, hints?: string[] }} article
+ *   hints: feed tags; any that name a category are always kept
+ * @returns {Promise<string[]>}
+ */
+async function classifyArticle({ title = '', content = '', hints = [] }) {
+  const fromFeed = (hints || []).map(h => String(h).toLowerCase()).filter(h => CATEGORIES.includes(h));
+
+  let detected = null;
+  if (USE_LLM) {
+    try {
+      detected = await llmCategories(title, content);
+    } catch (err) {
+      console.error('LLM classification failed:', err?.message || err);
+    }
+  }
+  if (!detected) detected = keywordCategories(title, content);
+
+  const cats = [...new Set([...fromFeed, ...detected])].filter(c => c !== 'general');
+  return cats.length ? cats : ['general'];
+}
+
+/* ---------- Exports ---------- */
+module.exports = { classifyArticle, CATEGORIES };
@@ -0,0 +1,135 @@
+/* ============================================================
+   /src/services/clusterer.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Fingerprint an article (title tokens + 64-bit SimHash of content)
+   - Compare against recent articles to find the same story
+   - Assign a storyId: reuse the closest match or start a new cluster
+   ============================================================ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Article = require('../models/article');
+
+/* ---------- Tunables ---------- */
+const WINDOW_MS        = 36 * 60 * 60 * 1000; // only cluster against recent articles
+const SHINGLE_SIZE     = 3;    // word 3-grams for SimHash
+const MAX_WORDS        = 600;  // enough text to characterise the story
+const TITLE_JACCARD    = 0.5;  // titles alone this similar → same story
+const SIMHASH_MAX_DIST = 8;    // content alone this close → same story
+const COMBINED_JACCARD = 0.3;  // weaker title match …
+const COMBINED_DIST    = 16;   // … plus weaker content match → same story
+
+const STOPWORDS = new Set((
+  'a an the and or but of to in on at for from by with as is are was were be been ' +
+  'has have had it its this that these those after before over under into amid about ' +
+  'says said say will would can could may might not no new news live updates update ' +
+  'video watch today latest report reports what why how who when'
+).split(' '));
+
+/* ---------- Helpers ---------- */
+function words(text = '') {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function titleTokens(title = '') {
+  return [...new Set(words(title).filter(w => w.length > 1 && !STOPWORDS.has(w)))];
+}
+
+function hash64(s) {
+  return crypto.createHash('md5').update(s).digest().readBigUInt64BE(0);
+}
+
+// Charikar SimHash over word shingles, returned as 16-char hex
+function simhash(text = '') {
+  const ws = words(text).slice(0, MAX_WORDS);
+  if (ws.length < SHINGLE_SIZE) return '';
+
+  const v = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= ws.length; i++) {
+    const h = hash64(ws.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let b = 0; b < 64; b++) {
+      v[b] += (h >> BigInt(b)) & 1n ? 1 : -1;
+    }
+  }
+
+  let out = 0n;
+  for (let b = 0; b < 64; b++) {
+    if (v[b] > 0) out |= 1n << BigInt(b);
+  }
+  return out.toString(16).padStart(16, '0');
+}
+
+function hamming(a, b) {
+  if (!a || !b) return 64;
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) {
+    n += Number(x & 1n);
+    x >>= 1n;
+  }
+  return n;
+}
+
+function jaccard(a = [], b = []) {
+  if (!a.length || !b.length) return 0;
+  const sb = new Set(b);
+  const inter = a.filter(t => sb.has(t)).length;
+  return inter / (a.length + b.length - inter);
+}
+
+/* ---------- Matching ---------- */
+function fingerprint({ title, content }) {
+  return { simhash: simhash(content), titleTokens: titleTokens(title) };
+}
+
+// similarity score in [0, 1] or 0 if the pair is not the same story
+function matchScore(fp, other) {
+  const j = jaccard(fp.titleTokens, other.titleTokens);
+  const d = hamming(fp.simhash, other.simhash);
+
+  const same =
+    j >= TITLE_JACCARD ||
+    d <= SIMHASH_MAX_DIST ||
+    (j >= COMBINED_JACCARD && d <= COMBINED_DIST);
+
+  return same ? j + (1 - d / 64) : 0;
+}
+
+/* ---------- Main ---------- */
+/**
+ * Fingerprint an incoming article and pick its story cluster.
+ * @param {{ title: string, content: string }} article
+ * @returns {Promise<{ storyId: string, fingerprint: { simhash: string, titleTokens: string[] } }>}
+ */
+async function assignStory(article) {
+  const fp = fingerprint(article);
+
+  const recent = await Article.find({
+    createdAt: { $gte: new Date(Date.now() - WINDOW_MS) },
+    storyId: { $exists: true }
+  })
+    .select('storyId fingerprint')
+    .lean();
+
+  let best = null;
+  let bestScore = 0;
+  for (const r of recent) {
+    const score = matchScore(fp, r.fingerprint || {});
+    if (score > bestScore) {
+      best = r;
+      bestScore = score;
+    }
+  }
+
+  const storyId = best?.storyId || new mongoose.Types.ObjectId().toHexString();
+  return { storyId, fingerprint: fp };
+}
+
+/* ---------- Exports ---------- */
+module.exports = assignStory;
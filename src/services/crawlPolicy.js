@@ -0,0 +1,254 @@
+/* ============================================================
+   /src/services/crawlPolicy.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - One honest, configurable User-Agent for every outbound fetch
+     (CRAWLER_USER_AGENT; robots.txt token CRAWLER_ROBOTS_TOKEN)
+   - Fetch + cache robots.txt per origin; refuse disallowed URLs
+   - Per-host politeness: concurrency cap + minimum delay between
+     requests (robots Crawl-delay raises it)
+   - Honour Retry-After on 429 / 503: the host cools down, and
+     waits longer than MAX_WAIT_MS fail fast so the ingestion queue
+     retries after the cooldown instead of blocking the run
+   ============================================================ */
+
+const axios = require('axios');
+const { URL } = require('url');
+
+/* ---------- Tunables ---------- */
+const ROBOTS_TOKEN = process.env.CRAWLER_ROBOTS_TOKEN || 'NewsInkBBot';
+const USER_AGENT =
+  process.env.CRAWLER_USER_AGENT ||
+  `${ROBOTS_TOKEN}/1.0${process.env.PUBLIC_URL ? ` (+${process.env.PUBLIC_URL})` : ''}`;
+
+const HOST_CONCURRENCY = Number(process.env.CRAWL_HOST_CONCURRENCY || 1);
+const MIN_DELAY_MS     = Number(process.env.CRAWL_MIN_DELAY_MS || 1000);
+const MAX_CRAWL_DELAY_MS = 30 * 1000;        // cap on robots Crawl-delay
+const MAX_WAIT_MS      = 30 * 1000;          // longer cooldowns → fail fast, retry later
+const DEFAULT_COOLDOWN_MS = 60 * 1000;       // 429 / 503 without Retry-After
+const MAX_COOLDOWN_MS  = 6 * 60 * 60 * 1000;
+const ROBOTS_TTL_MS    = Number(process.env.ROBOTS_CACHE_HOURS || 6) * 60 * 60 * 1000;
+const ROBOTS_RETRY_MS  = 10 * 60 * 1000;     // unreachable robots.txt → ask again soon
+const ROBOTS_MAX_BYTES = 512 * 1024;
+const ROBOTS_CACHE_MAX = 500;                // origins kept in memory
+
+/* ---------- Errors ---------- */
+// reason: 'disallowed' (robots.txt) | 'rate_limited' (host cooling down)
+class CrawlError extends Error {
+  constructor(message, reason, retryAfterMs = 0) {
+    super(message);
+    this.name = 'CrawlError';
+    this.reason = reason;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/* ---------- State ---------- */
+const hosts = new Map();  // host → { active, nextAt, blockedUntil, waiting: [resolve] }
+const robots = new Map(); // origin → { rules, crawlDelayMs, expiresAt } | Promise
+
+/* ---------- Helpers ---------- */
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Retry-After: delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const secs = Number(value);
+  const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_COOLDOWN_MS) : 0;
+}
+
+/* ---------- robots.txt ---------- */
+// robots path pattern → RegExp ('*' wildcard, '$' end anchor)
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// RFC 9309 groups: our token's group wins, else '*'; Crawl-delay is an extension
+function parseRobots(text = '') {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const i = line.indexOf(':');
+    if (i < 0) continue;
+    const key = line.slice(0, i).trim().toLowerCase();
+    const value = line.slice(i + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) groups.push(group = { agents: [], rules: [], crawlDelay: null });
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', length: value.length, re: patternToRegExp(value) });
+    } else if (key === 'crawl-delay' && Number.isFinite(Number(value))) {
+      group.crawlDelay = Number(value);
+    }
+  }
+
+  // product token must match exactly (case-insensitive); a stray "/1.0"
+  // after it in robots.txt is tolerated
+  const token = ROBOTS_TOKEN.toLowerCase();
+  const mine = groups.filter(g => g.agents.some(a => a.split(/[/\s]/)[0] === token));
+  const chosen = mine.length ? mine : groups.filter(g => g.agents.includes('*'));
+  const delays = chosen.map(g => g.crawlDelay).filter(d => d != null);
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelayMs: delays.length ? Math.min(Math.max(...delays) * 1000, MAX_CRAWL_DELAY_MS) : 0
+  };
+}
+
+// longest matching rule wins; Allow wins a tie; no match → allowed
+function robotsAllows(rules, pathAndQuery) {
+  if (pathAndQuery === '/robots.txt') return true;
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.re.test(pathAndQuery)) continue;
+    if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+  }
+  return !best || best.allow;
+}
+
+async function fetchRobots(origin) {
+  const now = Date.now();
+  try {
+    const res = await throttled(new URL(origin).host, 0, () => axios.get(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/plain' },
+      responseType: 'text',
+      timeout: 10000,
+      maxRedirects: 5,
+      maxContentLength: ROBOTS_MAX_BYTES,
+      validateStatus: () => true
+    }));
+    if (res.status >= 200 && res.status < 300) {
+      return { ...parseRobots(String(res.data || '')), expiresAt: now + ROBOTS_TTL_MS };
+    }
+    if (res.status >= 400 && res.status < 500) {
+      // no robots.txt (or not for us) → everything allowed
+      return { rules: [], crawlDelayMs: 0, expiresAt: now + ROBOTS_TTL_MS };
+    }
+    throw new Error(`robots.txt returned HTTP ${res.status}`);
+  } catch (err) {
+    // unreachable robots.txt → assume full disallow for a while (RFC 9309 §2.3.1.4)
+    console.error(`Could not fetch robots.txt for ${origin}:`, err.message);
+    return { rules: [], crawlDelayMs: 0, unreachable: true, expiresAt: now + ROBOTS_RETRY_MS };
+  }
+}
+
+async function robotsFor(origin) {
+  const cached = robots.get(origin);
+  if (cached && (cached instanceof Promise || cached.expiresAt > Date.now())) return cached;
+
+  const pending = fetchRobots(origin).then(entry => {
+    robots.set(origin, entry);
+    return entry;
+  });
+  robots.delete(origin); // re-insert → most recently used last
+  robots.set(origin, pending);
+  if (robots.size > ROBOTS_CACHE_MAX) robots.delete(robots.keys().next().value);
+  return pending;
+}
+
+/* ---------- Per-Host Throttle ---------- */
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, nextAt: 0, blockedUntil: 0, waiting: [] });
+  return hosts.get(host);
+}
+
+async function acquire(host, delayMs) {
+  const s = hostState(host);
+  for (;;) {
+    const blockedFor = s.blockedUntil - Date.now();
+    if (blockedFor > MAX_WAIT_MS) {
+      throw new CrawlError(`${host} asked us to back off`, 'rate_limited', blockedFor);
+    }
+    if (s.active >= HOST_CONCURRENCY) {
+      await new Promise(resolve => s.waiting.push(resolve));
+      continue;
+    }
+    const wait = Math.max(s.nextAt, s.blockedUntil) - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+      continue;
+    }
+    s.active++;
+    s.nextAt = Date.now() + Math.max(MIN_DELAY_MS, delayMs);
+    return s;
+  }
+}
+
+function release(s) {
+  s.active--;
+  const next = s.waiting.shift();
+  if (next) next();
+}
+
+// run fn() in one of the host's slots; 429 / 503 put the host on cooldown
+async function throttled(host, delayMs, fn) {
+  const s = await acquire(host, delayMs);
+  try {
+    const res = await fn();
+    if (res?.status === 429 || res?.status === 503) cooldown(s, res.headers);
+    return res;
+  } catch (err) {
+    const status = err?.response?.status;
+    if (status === 429 || status === 503) err.retryAfterMs = cooldown(s, err.response.headers);
+    throw err;
+  } finally {
+    release(s);
+  }
+}
+
+function cooldown(s, headers = {}) {
+  const ms = parseRetryAfter(headers['retry-after']) || DEFAULT_COOLDOWN_MS;
+  s.blockedUntil = Math.max(s.blockedUntil, Date.now() + ms);
+  return ms;
+}
+
+/* ---------- API ---------- */
+/**
+ * Is `url` fetchable under its site's robots.txt?
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isAllowed(url) {
+  const u = new URL(url);
+  const entry = await robotsFor(u.origin);
+  return !entry.unreachable && robotsAllows(entry.rules, `${u.pathname}${u.search}`);
+}
+
+/**
+ * axios.get behind robots.txt + per-host politeness, with our User-Agent.
+ * Throws CrawlError ('disallowed' | 'rate_limited'); HTTP errors from 429 / 503
+ * carry err.retryAfterMs.
+ * @param {string} url
+ * @param {import('axios').AxiosRequestConfig} [options]
+ */
+async function politeGet(url, options = {}) {
+  const u = new URL(url);
+  const entry = await robotsFor(u.origin);
+  if (entry.unreachable) {
+    throw new CrawlError(`robots.txt for ${u.host} is unreachable`, 'rate_limited', ROBOTS_RETRY_MS);
+  }
+  if (!robotsAllows(entry.rules, `${u.pathname}${u.search}`)) {
+    throw new CrawlError(`robots.txt disallows ${u.pathname}`, 'disallowed');
+  }
+  return throttled(u.host, entry.crawlDelayMs, () => axios.get(url, {
+    ...options,
+    headers: { ...options.headers, 'User-Agent': USER_AGENT }
+  }));
+}
+
+/* ---------- Exports ---------- */
+module.exports = { USER_AGENT, CrawlError, politeGet, isAllowed, parseRobots, robotsAllows };
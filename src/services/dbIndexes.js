@@ -0,0 +1,37 @@
+/* ============================================================
+   /src/services/dbIndexes.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Build indexes at boot, in every process type (web + worker),
+     instead of Mongoose autoIndex (connect with autoIndex: false)
+   - First drop the old 24h TTL index on articles.createdAt: it would
+     keep hard-deleting articles before they are archived, and it
+     shares its name (createdAt_1) with the plain index the schema
+     declares, so building that index would fail while it exists
+   ============================================================ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/article');
+
+/* ---------- Legacy TTL ---------- */
+async function dropLegacyTTL() {
+  const indexes = await Article.collection.indexes().catch(err => {
+    if (err?.codeName === 'NamespaceNotFound') return []; // fresh database
+    throw err;
+  });
+  const ttl = indexes.find(ix => ix.key?.createdAt === 1 && ix.expireAfterSeconds !== undefined);
+  if (!ttl) return;
+  await Article.collection.dropIndex(ttl.name);
+  console.log(`Dropped legacy TTL index "${ttl.name}" on articles`);
+}
+
+/* ---------- API ---------- */
+// every model registered in this process gets its schema's indexes
+async function prepareIndexes() {
+  await dropLegacyTTL();
+  for (const name of mongoose.modelNames()) {
+    await mongoose.model(name).createIndexes();
+  }
+}
+
+module.exports = { prepareIndexes, dropLegacyTTL };
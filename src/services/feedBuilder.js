@@ -0,0 +1,131 @@
+/* ============================================================
+   /src/services/feedBuilder.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Serialize articles as RSS 2.0, Atom 1.0 and JSON Feed 1.1
+   - Summary as content, original link, source as author,
+     image as enclosure
+   - Pure functions: (meta, articles) → string; no DB, no req/res
+   ============================================================ */
+
+/* ---------- Helpers ---------- */
+function escapeXML(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // strip characters XML 1.0 forbids (stray control bytes from scrapes)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// best guess from the URL; feed readers only use it as a hint
+// (our /img proxy always answers WebP)
+function imageType(url = '') {
+  if (/\/img\/[0-9a-f]{24}(?:[?#]|$)/i.test(url)) return 'image/webp';
+  const ext = (/\.(jpe?g|png|gif|webp|avif)(?:[?#]|$)/i.exec(url) || [])[1]?.toLowerCase();
+  if (ext === 'png' || ext === 'gif' || ext === 'webp' || ext === 'avif') return `image/${ext}`;
+  return 'image/jpeg';
+}
+
+// when the article was published (feed date), else when we ingested it
+function itemDate(a) {
+  return new Date(a.pubDate || a.createdAt || Date.now());
+}
+
+function itemId(meta, a) {
+  return `${meta.siteUrl}/news#${a._id}`;
+}
+
+/* ---------- RSS 2.0 ---------- */
+/**
+ * @param {{ title: string, description: string, siteUrl: string, selfUrl: string,
+ *           lang: string|null, updated: Date }} meta
+ * @param {object[]} articles - localized, newest first
+ */
+function buildRss(meta, articles) {
+  const items = articles.map(a => `
+    <item>
+      <title>${escapeXML(a.title)}</title>
+      <link>${escapeXML(a.link)}</link>
+      <guid isPermaLink="false">${escapeXML(itemId(meta, a))}</guid>
+      <pubDate>${itemDate(a).toUTCString()}</pubDate>
+      <dc:creator>${escapeXML(a.source)}</dc:creator>
+      ${(a.categories || []).map(c => `<category>${escapeXML(c)}</category>`).join('')}
+      <description>${escapeXML(a.summary)}</description>
+      ${a.image ? `<enclosure url="${escapeXML(a.image)}" type="${imageType(a.image)}" length="0"/>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXML(meta.title)}</title>
+    <link>${escapeXML(meta.siteUrl)}/</link>
+    <description>${escapeXML(meta.description)}</description>
+    <atom:link href="${escapeXML(meta.selfUrl)}" rel="self" type="application/rss+xml"/>
+    ${meta.lang ? `<language>${escapeXML(meta.lang)}</language>` : ''}
+    <lastBuildDate>${meta.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+/* ---------- Atom 1.0 ---------- */
+function buildAtom(meta, articles) {
+  const entries = articles.map(a => `
+  <entry${a.lang ? ` xml:lang="${escapeXML(a.lang)}"` : ''}>
+    <title>${escapeXML(a.title)}</title>
+    <link rel="alternate" href="${escapeXML(a.link)}"/>
+    ${a.image ? `<link rel="enclosure" type="${imageType(a.image)}" href="${escapeXML(a.image)}"/>` : ''}
+    <id>${escapeXML(itemId(meta, a))}</id>
+    <published>${itemDate(a).toISOString()}</published>
+    <updated>${new Date(a.createdAt || itemDate(a)).toISOString()}</updated>
+    <author><name>${escapeXML(a.source)}</name></author>
+    ${(a.categories || []).map(c => `<category term="${escapeXML(c)}"/>`).join('')}
+    <summary type="text">${escapeXML(a.summary)}</summary>
+    <content type="text">${escapeXML(a.summary)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${meta.lang ? ` xml:lang="${escapeXML(meta.lang)}"` : ''}>
+  <title>${escapeXML(meta.title)}</title>
+  <subtitle>${escapeXML(meta.description)}</subtitle>
+  <link rel="alternate" href="${escapeXML(meta.siteUrl)}/"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXML(meta.selfUrl)}"/>
+  <id>${escapeXML(meta.selfUrl)}</id>
+  <updated>${meta.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+/* ---------- JSON Feed 1.1 ---------- */
+function buildJsonFeed(meta, articles) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: `${meta.siteUrl}/`,
+    feed_url: meta.selfUrl,
+    ...(meta.lang ? { language: meta.lang } : {}),
+    items: articles.map(a => ({
+      id: itemId(meta, a),
+      url: a.link,
+      title: a.title,
+      content_text: a.summary,
+      summary: a.summary,
+      date_published: itemDate(a).toISOString(),
+      date_modified: new Date(a.createdAt || itemDate(a)).toISOString(),
+      authors: [{ name: a.source }],
+      tags: a.categories || [],
+      ...(a.lang ? { language: a.lang } : {}),
+      ...(a.image
+        ? { image: a.image, attachments: [{ url: a.image, mime_type: imageType(a.image) }] }
+        : {})
+    }))
+  };
+  return JSON.stringify(feed, null, 2);
+}
+
+/* ---------- Exports ---------- */
+module.exports = { buildRss, buildAtom, buildJsonFeed };
@@ -0,0 +1,159 @@
+/* ============================================================
+   /src/services/imagePipeline.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Verify scraped image candidates before an article keeps one:
+     · URL looks like a logo / placeholder  → rejected
+     · not an image (content-type), or SVG  → rejected
+     · too small, or banner-shaped          → rejected
+     · perceptual hash (dHash) close to a known placeholder /
+       logo (config/imagePlaceholders.json)  → rejected
+     · same hash already on REPEAT_LIMIT articles (a publisher's
+       stock/logo image reused everywhere)  → rejected
+   - Report width / height / hash of the first image that passes
+   - Downloads (size-capped): ingestion goes through crawlPolicy
+     (robots.txt + per-host rate limits, like page fetches); the
+     reader-facing /img proxy gets a direct, timeout-bounded fetch so
+     readers never queue behind the crawler's host slots
+   ============================================================ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const Article = require('../models/article');
+const { USER_AGENT, politeGet } = require('./crawlPolicy');
+
+/* ---------- Tunables ---------- */
+const MIN_WIDTH    = Number(process.env.IMAGE_MIN_WIDTH || 300);
+const MIN_HEIGHT   = Number(process.env.IMAGE_MIN_HEIGHT || 150);
+const MAX_ASPECT   = 3.5;   // wider than this → banner / strip
+const MIN_ASPECT   = 0.3;   // taller than this → skyscraper ad
+const MAX_BYTES    = Number(process.env.IMAGE_MAX_BYTES || 8 * 1024 * 1024);
+const TIMEOUT_MS   = 10000;
+const HASH_DISTANCE = 5;    // dHash bits that may differ and still "match"
+const REPEAT_LIMIT = 3;     // articles sharing one image → it's a logo
+const PLACEHOLDERS_PATH =
+  process.env.IMAGE_PLACEHOLDERS ||
+  path.join(__dirname, '..', 'config', 'imagePlaceholders.json');
+
+/* ---------- Placeholder list ---------- */
+// { urlPatterns: [regex source], hashes: [{ hash: "<16 hex dHash>", note }] }
+function loadPlaceholders(file = PLACEHOLDERS_PATH) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      urlPatterns: (raw.urlPatterns || []).map(src => new RegExp(src, 'i')),
+      hashes: (raw.hashes || []).map(h => String(h.hash || h).toLowerCase()).filter(h => /^[0-9a-f]{16}$/.test(h))
+    };
+  } catch (err) {
+    console.error(`Could not load image placeholders from ${file}:`, err.message);
+    return { urlPatterns: [], hashes: [] };
+  }
+}
+
+const placeholders = loadPlaceholders();
+
+/* ---------- Helpers ---------- */
+const REQUEST = {
+  responseType: 'arraybuffer',
+  headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
+  timeout: TIMEOUT_MS,
+  maxRedirects: 5,
+  maxContentLength: MAX_BYTES
+};
+
+function asImage(res) {
+  const type = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return { buffer: Buffer.from(res.data), type };
+}
+
+// /img proxy: one image a reader is waiting for
+async function download(url) {
+  return asImage(await axios.get(url, REQUEST));
+}
+
+// ingestion: crawler traffic, throttled per host
+async function politeDownload(url) {
+  return asImage(await politeGet(url, REQUEST));
+}
+
+// 64-bit difference hash: 9×8 greyscale, compare horizontal neighbours
+async function dHash(buffer) {
+  const px = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (px[y * 9 + x] > px[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+}
+
+function hamming(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) {
+    n += Number(x & 1n);
+    x >>= 1n;
+  }
+  return n;
+}
+
+function urlPath(url) {
+  try { return new URL(url).pathname; } catch { return url; }
+}
+
+/* ---------- Inspection ---------- */
+/**
+ * @param {string} url
+ * @returns {Promise<{ ok: true, width: number, height: number, type: string, hash: string }
+ *                 | { ok: false, reason: string, error?: string }>}
+ */
+async function inspectImage(url) {
+  if (placeholders.urlPatterns.some(re => re.test(urlPath(url)))) return { ok: false, reason: 'placeholder_url' };
+
+  try {
+    const { buffer, type } = await politeDownload(url);
+    if (!type.startsWith('image/')) return { ok: false, reason: 'not_image' };
+    if (type === 'image/svg+xml') return { ok: false, reason: 'svg' };
+
+    const meta = await sharp(buffer).metadata();
+    // EXIF-rotated photos report pre-rotation dimensions
+    const width = meta.autoOrient?.width || meta.width || 0;
+    const height = meta.autoOrient?.height || meta.height || 0;
+    if (width < MIN_WIDTH || height < MIN_HEIGHT) return { ok: false, reason: 'too_small' };
+    const aspect = width / height;
+    if (aspect > MAX_ASPECT || aspect < MIN_ASPECT) return { ok: false, reason: 'bad_aspect' };
+
+    const hash = await dHash(buffer);
+    if (placeholders.hashes.some(h => hamming(h, hash) <= HASH_DISTANCE)) return { ok: false, reason: 'placeholder' };
+    if (await Article.countDocuments({ imageHash: hash }, { limit: REPEAT_LIMIT }) >= REPEAT_LIMIT) {
+      return { ok: false, reason: 'repeated' };
+    }
+
+    return { ok: true, width, height, type, hash };
+  } catch (err) {
+    if (err.reason === 'disallowed') return { ok: false, reason: 'disallowed' };
+    return { ok: false, reason: 'fetch_error', error: err.message };
+  }
+}
+
+/**
+ * First candidate that passes inspection.
+ * @param {string[]} candidates - best first (see scraper)
+ * @returns {Promise<{ image: string, imageWidth?: number, imageHeight?: number,
+ *                     imageHash?: string, rejected: { url: string, reason: string }[] }>}
+ */
+async function chooseImage(candidates = []) {
+  const rejected = [];
+  for (const url of candidates) {
+    const r = await inspectImage(url);
+    if (r.ok) return { image: url, imageWidth: r.width, imageHeight: r.height, imageHash: r.hash, rejected };
+    rejected.push({ url, reason: r.reason });
+  }
+  return { image: '', rejected };
+}
+
+/* ---------- Exports ---------- */
+module.exports = { chooseImage, inspectImage, download, dHash };
@@ -0,0 +1,102 @@
+/* ============================================================
+   /src/services/imageProxy.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Resized WebP variants of article images for /img/:id
+     (readers never hit publisher servers directly)
+   - Fixed width ladder (srcset), never upscaled
+   - Disk cache (IMAGE_CACHE_DIR), oldest files pruned past a cap
+   - One render per variant at a time (concurrent requests share it),
+     one download per original (concurrent widths share it)
+   ============================================================ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { download } = require('./imagePipeline');
+
+/* ---------- Tunables ---------- */
+const WIDTHS = [320, 640, 960, 1280];
+const QUALITY = 72;
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'newsinkb-img');
+const CACHE_MAX_FILES = Number(process.env.IMAGE_CACHE_MAX_FILES || 3000);
+const PRUNE_EVERY = 100; // writes between cache prunes
+
+/* ---------- State ---------- */
+const inflight = new Map(); // cache file → Promise<Buffer>
+const originals = new Map(); // source URL → Promise<{ buffer, type }>
+let writes = 0;
+
+/* ---------- Helpers ---------- */
+// requested width → smallest ladder step that covers it
+function snapWidth(w) {
+  const n = Number(w) || 640;
+  return WIDTHS.find(x => x >= n) || WIDTHS[WIDTHS.length - 1];
+}
+
+// keyed by source URL too, so a changed article image never serves stale
+function cacheFile(id, url, width) {
+  const h = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+  return path.join(CACHE_DIR, `${id}-${h}-${width}.webp`);
+}
+
+async function pruneCache() {
+  const names = await fs.readdir(CACHE_DIR);
+  if (names.length <= CACHE_MAX_FILES) return;
+  const files = await Promise.all(names.map(async name => {
+    const file = path.join(CACHE_DIR, name);
+    const { mtimeMs } = await fs.stat(file).catch(() => ({ mtimeMs: 0 }));
+    return { file, mtimeMs };
+  }));
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const drop = files.slice(0, names.length - Math.floor(CACHE_MAX_FILES * 0.9));
+  await Promise.all(drop.map(f => fs.unlink(f.file).catch(() => {})));
+}
+
+// srcset asks for several widths at once: fetch the original once for all
+function original(url) {
+  if (!originals.has(url)) originals.set(url, download(url).finally(() => originals.delete(url)));
+  return originals.get(url);
+}
+
+async function render(url, width, file) {
+  const { buffer, type } = await original(url);
+  if (!type.startsWith('image/') || type === 'image/svg+xml') throw new Error(`not a raster image (${type})`);
+
+  const out = await sharp(buffer)
+    .rotate() // apply EXIF orientation
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: QUALITY })
+    .toBuffer();
+
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(file, out);
+  if (++writes % PRUNE_EVERY === 0) pruneCache().catch(e => console.error('Image cache prune failed:', e.message));
+  return out;
+}
+
+/* ---------- API ---------- */
+/**
+ * WebP bytes of `url` resized for `width` (snapped to the ladder).
+ * @param {string} id - article id (cache key)
+ * @param {string} url - original image URL
+ * @param {number} width
+ * @returns {Promise<{ buffer: Buffer, width: number }>}
+ */
+async function getVariant(id, url, width) {
+  width = snapWidth(width);
+  const file = cacheFile(id, url, width);
+
+  const cached = await fs.readFile(file).catch(() => null);
+  if (cached) return { buffer: cached, width };
+
+  if (!inflight.has(file)) {
+    inflight.set(file, render(url, width, file).finally(() => inflight.delete(file)));
+  }
+  return { buffer: await inflight.get(file), width };
+}
+
+/* ---------- Exports ---------- */
+module.exports = { WIDTHS, snapWidth, getVariant };
@@ -0,0 +1,182 @@
+/* ============================================================
+   /src/services/ingestQueue.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Durable ingestion queue on top of the IngestItem collection
+   - Enqueue feed candidates once (canonical link is the key)
+   - Hand out due work, advance items stage by stage
+   - Retry transient failures with exponential backoff across runs
+   - Move exhausted items to the dead-letter state; requeue on demand
+   ============================================================ */
+
+const IngestItem = require('../models/ingestItem');
+
+/* ---------- Tunables ---------- */
+const MAX_ATTEMPTS   = Number(process.env.INGEST_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS  = 5 * 60 * 1000;            // 5m, 10m, 20m, …
+const RETRY_MAX_MS   = 6 * 60 * 60 * 1000;
+const KEEP_DONE_MS   = 7 * 24 * 60 * 60 * 1000;  // published/failed kept for a week
+const MAX_CONTENT    = 50000;                    // cap stored scrape text
+const BATCH_SIZE     = Number(process.env.INGEST_BATCH_SIZE || 200);
+
+/* ---------- Helpers ---------- */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+function errText(err) {
+  return String(err?.message || err || '').slice(0, 1000);
+}
+
+/* ---------- Enqueue ---------- */
+// Insert new candidates as "discovered"; existing links are left untouched
+async function enqueue(articles = []) {
+  const ops = articles
+    .filter(a => a?.link && a?.title)
+    .map(a => ({
+      updateOne: {
+        filter: { link: a.link },
+        update: {
+          $setOnInsert: {
+            link: a.link,
+            feedLink: a.feedLink || a.link,
+            title: a.title,
+            source: a.source || '',
+            pubDate: a.pubDate || null,
+            summaryLanguage: a.summaryLanguage || 'source',
+            categoryHints: a.categoryHints || [],
+            feedContent: a.feedContent || '',
+            state: 'discovered',
+            nextAttemptAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    }));
+  if (!ops.length) return 0;
+
+  const res = await IngestItem.bulkWrite(ops, { ordered: false });
+  return res.upsertedCount || 0;
+}
+
+/* ---------- Due Work ---------- */
+// Active items whose retry time has come, newest stories first
+async function dueItems(limit = BATCH_SIZE) {
+  return IngestItem.find({
+    state: { $in: IngestItem.ACTIVE_STATES },
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort({ pubDate: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/* ---------- Transitions ---------- */
+// Stage succeeded → next state, fresh retry budget
+async function advance(item, state, fields = {}) {
+  if (typeof fields.content === 'string') fields.content = fields.content.slice(0, MAX_CONTENT);
+  const set = { ...fields, state, attempts: 0, lastError: '', nextAttemptAt: new Date() };
+  await IngestItem.updateOne({ _id: item._id }, { $set: set });
+  return { ...item, ...set };
+}
+
+async function publish(item) {
+  await IngestItem.updateOne(
+    { _id: item._id },
+    {
+      $set: { state: 'published', lastError: '', reason: '', expireAt: new Date(Date.now() + KEEP_DONE_MS) },
+      $unset: { content: '', feedContent: '' }
+    }
+  );
+}
+
+// Permanent rejection (not worth retrying). Items rejected at the summary
+// stage keep their scraped content, so the admin can re-summarise them
+// without another scrape (expireAt bounds how long it is stored).
+async function reject(item, reason, err) {
+  const scraped = item.state === 'scraped';
+  await IngestItem.updateOne(
+    { _id: item._id },
+    {
+      $set: {
+        state: 'failed',
+        reason,
+        lastError: err ? errText(err) : '',
+        expireAt: new Date(Date.now() + KEEP_DONE_MS)
+      },
+      $unset: scraped ? { feedContent: '' } : { content: '', feedContent: '' }
+    }
+  );
+}
+
+// Transient failure → back off, or dead-letter once out of attempts.
+// Resolves to 'retry' or 'dead'. minDelayMs: e.g. a host's Retry-After.
+async function retry(item, reason, err, minDelayMs = 0) {
+  const attempts = (item.attempts || 0) + 1;
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await IngestItem.updateOne(
+      { _id: item._id },
+      { $set: { state: 'dead', deadFrom: item.state, attempts, reason, lastError: errText(err) } }
+    );
+    return 'dead';
+  }
+
+  await IngestItem.updateOne(
+    { _id: item._id },
+    {
+      $set: {
+        attempts,
+        reason,
+        lastError: errText(err),
+        nextAttemptAt: new Date(Date.now() + Math.max(retryDelay(attempts), minDelayMs))
+      }
+    }
+  );
+  return 'retry';
+}
+
+/* ---------- Dead-Letter / Admin ---------- */
+// Put a dead or failed item back into the pipeline.
+// from: 'discovered' (re-scrape) or 'scraped' (re-summarise, needs the scraped
+// content; falls back to re-scrape). Default: dead → the stage it died in,
+// failed → start over.
+// Resolves to null (no such item) or { item, requeued }; requeued is false
+// when the item wasn't failed / dead (e.g. already waiting for a retry).
+async function requeue(id, from) {
+  const item = await IngestItem.findById(id).lean();
+  if (!item) return null;
+  if (!['dead', 'failed'].includes(item.state)) return { item, requeued: false };
+
+  let state = from || (item.state === 'dead' && item.deadFrom ? item.deadFrom : 'discovered');
+  if (state !== 'discovered' && !item.content) state = 'discovered';
+  // only if nothing moved it since we looked
+  const updated = await IngestItem.findOneAndUpdate(
+    { _id: id, state: item.state },
+    {
+      $set: { state, attempts: 0, reason: '', lastError: '', nextAttemptAt: new Date(), expireAt: null, deadFrom: null }
+    },
+    { new: true }
+  ).lean();
+  return updated ? { item: updated, requeued: true } : { item, requeued: false };
+}
+
+async function requeueAllDead() {
+  const dead = await IngestItem.find({ state: 'dead' }).select('_id').lean();
+  let n = 0;
+  for (const d of dead) if ((await requeue(d._id))?.requeued) n++;
+  return n;
+}
+
+/* ---------- Exports ---------- */
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueue,
+  dueItems,
+  advance,
+  publish,
+  reject,
+  retry,
+  requeue,
+  requeueAllDead
+};
@@ -0,0 +1,92 @@
+/* ============================================================
+   /src/services/langDetect.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Lightweight, offline language detection for scraped articles
+   - Script counting for Indic / Perso-Arabic scripts
+   - Stopword votes where one script serves several languages
+     (Devanagari: Hindi vs Marathi vs Nepali)
+   - Return an ISO 639-1 code; Latin text defaults to English
+   ============================================================ */
+
+/* ---------- Scripts ---------- */
+// language for each script (first language wins unless stopwords say otherwise)
+const SCRIPTS = [
+  ['hi', /\p{Script=Devanagari}/u],
+  ['bn', /\p{Script=Bengali}/u],
+  ['pa', /\p{Script=Gurmukhi}/u],
+  ['gu', /\p{Script=Gujarati}/u],
+  ['or', /\p{Script=Oriya}/u],
+  ['ta', /\p{Script=Tamil}/u],
+  ['te', /\p{Script=Telugu}/u],
+  ['kn', /\p{Script=Kannada}/u],
+  ['ml', /\p{Script=Malayalam}/u],
+  ['ur', /\p{Script=Arabic}/u],
+  ['en', /\p{Script=Latin}/u]
+];
+
+// distinguishing function words for shared scripts
+const DEVANAGARI_STOPWORDS = {
+  hi: ['है', 'हैं', 'और', 'के', 'की', 'को', 'में', 'से', 'पर', 'था', 'थे', 'कि', 'यह', 'ने'],
+  mr: ['आहे', 'आणि', 'च्या', 'चा', 'ची', 'हे', 'या', 'आहेत', 'केले', 'होते'],
+  ne: ['छ', 'र', 'को', 'मा', 'लाई', 'गरे', 'भएको', 'छन्']
+};
+
+const NAMES = {
+  en: 'English', hi: 'Hindi', mr: 'Marathi', ne: 'Nepali', bn: 'Bengali', pa: 'Punjabi',
+  gu: 'Gujarati', or: 'Odia', ta: 'Tamil', te: 'Telugu', kn: 'Kannada', ml: 'Malayalam', ur: 'Urdu'
+};
+
+/* ---------- Helpers ---------- */
+function dominantScript(text) {
+  const counts = {};
+  for (const ch of text.slice(0, 5000)) {
+    for (const [lang, re] of SCRIPTS) {
+      if (re.test(ch)) {
+        counts[lang] = (counts[lang] || 0) + 1;
+        break;
+      }
+    }
+  }
+  let best = null;
+  for (const [lang, n] of Object.entries(counts)) {
+    if (!best || n > counts[best]) best = lang;
+  }
+  return best;
+}
+
+function devanagariLanguage(text) {
+  const words = text.split(/[\s,.।!?"'()]+/).slice(0, 2000);
+  let best = 'hi';
+  let bestVotes = 0;
+  for (const [lang, stops] of Object.entries(DEVANAGARI_STOPWORDS)) {
+    const set = new Set(stops);
+    const votes = words.filter(w => set.has(w)).length;
+    if (votes > bestVotes) {
+      best = lang;
+      bestVotes = votes;
+    }
+  }
+  return best;
+}
+
+/* ---------- Main ---------- */
+/**
+ * Detect the language of a text.
+ * @param {string} text
+ * @returns {string} ISO 639-1 code ('en' when unsure)
+ */
+function detectLanguage(text = '') {
+  const script = dominantScript(String(text));
+  if (!script) return 'en';
+  if (script === 'hi') return devanagariLanguage(String(text));
+  return script;
+}
+
+// Human-readable name for prompts ("Hindi"); falls back to the code
+function languageName(code) {
+  return NAMES[code] || code;
+}
+
+/* ---------- Exports ---------- */
+module.exports = { detectLanguage, languageName, LANGUAGES: Object.keys(NAMES) };
@@ -0,0 +1,126 @@
+/* ============================================================
+   /src/services/leaseLock.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - MongoDB-backed lease lock shared by every process (web, worker)
+   - Acquire only if free or expired; never re-entrant (each
+     acquisition gets its own token, and a process won't start a
+     second holder of a lease it is already running)
+   - Heartbeat to extend the lease while work is running; a lost
+     lease aborts the work (AbortSignal handed to it)
+   - Release on completion (expiry covers crashes)
+   ============================================================ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/lock');
+
+/* ---------- Tunables ---------- */
+const LEASE_MS     = Number(process.env.LOCK_LEASE_MS || 2 * 60 * 1000);
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LEASE_MS / 4));
+
+// unique per process: host:pid:random
+const OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/* ---------- State ---------- */
+const running = new Set(); // lease names this process is working under
+
+/* ---------- Primitives ---------- */
+// Resolves our acquisition token if we now hold `name`, else null.
+// Only a free or expired lease can be taken, even by the current holder.
+async function acquire(name, leaseMs = LEASE_MS) {
+  const now = new Date();
+  const token = `${OWNER}:${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      {
+        $set: { owner: token, acquiredAt: now, heartbeatAt: now, expiresAt: new Date(now.getTime() + leaseMs) }
+      },
+      { upsert: true, new: true }
+    );
+    return token;
+  } catch (err) {
+    // upsert collided with a live lease (someone else's, or an earlier one of ours)
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+// Extend our lease; resolves false if it was lost
+async function heartbeat(name, token, leaseMs = LEASE_MS) {
+  const now = new Date();
+  const res = await Lock.updateOne(
+    { _id: name, owner: token },
+    { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + leaseMs) } }
+  );
+  return res.matchedCount === 1;
+}
+
+async function release(name, token) {
+  await Lock.deleteOne({ _id: name, owner: token });
+}
+
+// true while this process runs work under `name` (cheap, no DB round trip)
+function isHeldHere(name) {
+  return running.has(name);
+}
+
+// live holder of `name` in any process ({ owner, expiresAt }), or null
+async function liveHolder(name) {
+  return Lock.findOne({ _id: name, expiresAt: { $gt: new Date() } }).select('owner expiresAt').lean();
+}
+
+/* ---------- Helper: Run Under Lease ---------- */
+/**
+ * Run `fn(signal)` while holding the named lease. `signal` aborts if the
+ * lease is lost mid-run (fn should stop taking new work and throw).
+ * @returns {Promise<{ acquired: boolean, result?: any }>}
+ *   acquired=false → this or another process holds the lease; fn was not run.
+ */
+async function withLease(name, fn, leaseMs = LEASE_MS) {
+  if (running.has(name)) {
+    console.warn(`[lock] "${name}" already running in this process → skipping`);
+    return { acquired: false };
+  }
+  running.add(name);
+
+  try {
+    const token = await acquire(name, leaseMs);
+    if (!token) {
+      const holder = await Lock.findById(name).select('owner expiresAt').lean().catch(() => null);
+      console.warn(`[lock] "${name}" held by ${holder?.owner || 'another process'} → skipping`);
+      return { acquired: false };
+    }
+
+    const controller = new AbortController();
+    const timer = setInterval(async () => {
+      try {
+        if (!(await heartbeat(name, token, leaseMs))) {
+          console.error(`[lock] lost lease "${name}" → aborting`);
+          clearInterval(timer);
+          controller.abort(new Error(`lost lease "${name}"`));
+        }
+      } catch (e) {
+        console.error(`[lock] heartbeat failed for "${name}":`, e?.message || e);
+      }
+    }, HEARTBEAT_MS);
+    timer.unref();
+
+    try {
+      return { acquired: true, result: await fn(controller.signal) };
+    } finally {
+      clearInterval(timer);
+      try {
+        await release(name, token);
+      } catch (e) {
+        console.warn(`[lock] release failed for "${name}" (will expire):`, e?.message || e);
+      }
+    }
+  } finally {
+    running.delete(name);
+  }
+}
+
+/* ---------- Exports ---------- */
+module.exports = { OWNER, acquire, heartbeat, release, isHeldHere, liveHolder, withLease };
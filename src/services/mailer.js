@@ -0,0 +1,89 @@
+/* ============================================================
+   /src/services/mailer.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Send transactional mail (magic sign-in links) through a
+     pluggable transport, picked by MAILER:
+     · console → log the message (default; dev only: refused when
+                 NODE_ENV=production, since it prints working links)
+     · webhook → POST { from, to, subject, text } as JSON to
+                 MAILER_WEBHOOK_URL (relay to any mail API)
+   - Throw on delivery failure so callers can report it
+   ============================================================ */
+
+const axios = require('axios');
+
+const FROM = process.env.MAILER_FROM || 'News-In-kB <no-reply@localhost>';
+
+/* ---------- Transports ---------- */
+// Each builder returns a transport or null when it isn't configured
+const BUILDERS = {
+  console: () => ({
+    name: 'console',
+    async send(msg) {
+      console.log(`[mail] to=${msg.to} subject="${msg.subject}"\n${msg.text}`);
+    }
+  }),
+
+  webhook: () => process.env.MAILER_WEBHOOK_URL && ({
+    name: 'webhook',
+    async send(msg) {
+      const headers = process.env.MAILER_WEBHOOK_TOKEN
+        ? { Authorization: `Bearer ${process.env.MAILER_WEBHOOK_TOKEN}` }
+        : {};
+      await axios.post(process.env.MAILER_WEBHOOK_URL, msg, { headers, timeout: 10000 });
+    }
+  })
+};
+
+// production without a real transport: sign-in mail fails instead of
+// landing in the logs, where anyone reading them could use the links
+const disabled = {
+  name: 'disabled',
+  async send() {
+    throw new Error('No mail transport configured (MAILER=console is refused in production)');
+  }
+};
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const name = (process.env.MAILER || 'console').toLowerCase();
+  transport = BUILDERS[name]?.() || null;
+  if (!transport) console.warn(`Mailer "${name}" unknown or not configured → falling back to console`);
+  if (!transport || transport.name === 'console') {
+    transport = process.env.NODE_ENV === 'production' ? disabled : BUILDERS.console();
+  }
+  return transport;
+}
+
+/* ---------- API ---------- */
+/**
+ * @param {{ to: string, subject: string, text: string }} msg
+ */
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({ from: FROM, to, subject, text });
+}
+
+// 'console' | 'webhook' | 'disabled' (production without a real transport)
+function mailerName() {
+  return getTransport().name;
+}
+
+// called once at startup so a misconfigured mailer is loud, not silent
+function checkMailer() {
+  const { name } = getTransport();
+  if (name === 'webhook' && !process.env.PUBLIC_URL) {
+    console.error('!!! PUBLIC_URL is not set: magic sign-in links are DISABLED ' +
+      '(emailed links are never built from the request\'s Host header).');
+  }
+  if (name === 'disabled') {
+    console.error('!!! MAILER is console / not configured in production: magic sign-in links are DISABLED. ' +
+      'Set MAILER=webhook and MAILER_WEBHOOK_URL.');
+  } else if (name === 'console') {
+    console.warn('!!! MAILER=console: sign-in links are printed to this log. Use for development only.');
+  }
+}
+
+module.exports = { sendMail, checkMailer, mailerName };
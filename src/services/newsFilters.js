@@ -0,0 +1,128 @@
+/* ============================================================
+   /src/services/newsFilters.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Turn /news-style query params into a Mongo filter
+     (shared by every route that lists articles)
+   - lang: articles written in, or translated into, that language
+   - category: comma-separated list, any match
+   - source: comma-separated source names, any match (case-insensitive)
+   - Localize results: swap in the requested language edition
+   - Keyset cursors over (createdAt, _id) for /news paging + deltas
+   ============================================================ */
+
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('./classifier');
+
+/* ---------- Helpers ---------- */
+function firstParam(val) {
+  return Array.isArray(val) ? val[0] : val;
+}
+
+// "sports,tech" / ["sports","tech"] → known categories only
+function parseCategories(val) {
+  const raw = Array.isArray(val) ? val.join(',') : String(val || '');
+  return [...new Set(raw.split(',').map(c => c.trim().toLowerCase()))]
+    .filter(c => CATEGORIES.includes(c));
+}
+
+// "NDTV,The Hindu" / ["NDTV","The Hindu"] → trimmed, de-duplicated names
+function parseSources(val) {
+  const raw = Array.isArray(val) ? val.join(',') : String(val || '');
+  return [...new Set(raw.split(',').map(s => s.trim()).filter(Boolean))].slice(0, 20);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "hi", "en" … (ISO 639-1); anything else is ignored
+function parseLang(val) {
+  const lang = String(firstParam(val) || '').trim().toLowerCase();
+  return /^[a-z]{2}$/.test(lang) ? lang : null;
+}
+
+/* ---------- Filters ---------- */
+/**
+ * Build the Mongo filter for the supported query params.
+ * @param {object} query - req.query
+ * @returns {{ filter: object, lang: string|null, categories: string[], sources: string[] }}
+ */
+function buildFilters(query = {}) {
+  const and = [];
+  const lang = parseLang(query.lang);
+  const categories = parseCategories(query.category);
+  const sources = parseSources(query.source);
+
+  if (lang) {
+    const langMatch = [{ lang }, { 'translations.lang': lang }];
+    // articles from before language detection are English
+    if (lang === 'en') langMatch.push({ lang: { $exists: false } });
+    and.push({ $or: langMatch });
+  }
+
+  if (categories.length) and.push({ categories: { $in: categories } });
+
+  if (sources.length) {
+    and.push({ source: { $in: sources.map(s => new RegExp(`^${escapeRegExp(s)}$`, 'i')) } });
+  }
+
+  return { filter: and.length ? { $and: and } : {}, lang, categories, sources };
+}
+
+/* ---------- Localization ---------- */
+// Show the requested edition's title/summary; drop the other editions
+function localize(article, lang) {
+  if (!lang || !article) return article;
+  const { translations, ...rest } = article;
+  if ((rest.lang || 'en') === lang) return rest;
+
+  const t = (translations || []).find(x => x.lang === lang);
+  return t
+    ? { ...rest, title: t.title || rest.title, summary: t.summary || rest.summary, lang, originalLang: rest.lang }
+    : rest;
+}
+
+/* ---------- Cursors ---------- */
+// Opaque base64url of "createdAt|_id"
+function encodeCursor(article) {
+  if (!article?.createdAt || !article?._id) return null;
+  const iso = new Date(article.createdAt).toISOString();
+  return Buffer.from(`${iso}|${article._id}`).toString('base64url');
+}
+
+// → { createdAt: Date, id: ObjectId } or null if malformed
+function decodeCursor(val) {
+  try {
+    const [iso, id] = Buffer.from(String(firstParam(val) || ''), 'base64url').toString('utf8').split('|');
+    const createdAt = new Date(iso);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// strictly older than the cursor (next page, newest-first order)
+function olderThan(c) {
+  return { $or: [{ createdAt: { $lt: c.createdAt } }, { createdAt: c.createdAt, _id: { $lt: c.id } }] };
+}
+
+// strictly newer than the cursor (delta since the client's top item)
+function newerThan(c) {
+  return { $or: [{ createdAt: { $gt: c.createdAt } }, { createdAt: c.createdAt, _id: { $gt: c.id } }] };
+}
+
+/* ---------- Exports ---------- */
+module.exports = {
+  buildFilters,
+  localize,
+  parseLang,
+  parseCategories,
+  parseSources,
+  firstParam,
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan
+};
@@ -2,27 +2,54 @@
    /src/services/rssFetcher.js
    ------------------------------------------------------------
    Responsibilities:
+   - Read enabled feeds from the Feed registry on every run
+   - Seed the registry from RSS_URL_TOP_STORIES once per database
+     (a Meta marker, so deleting every feed later doesn't reseed)
+   - Conditional GETs (ETag / Last-Modified), skip feeds on 304
+   - Track per-feed health, back off feeds that keep failing
    - Parse multiple RSS/Atom feeds using rss-parser
-   - Normalize fields (title, link, pubDate, source)
-   - Initial run: pick random 10 from latest 100 per feed
-   - Recurring run: pick 3–4 random from latest 50 per feed
+   - Normalize fields (title, canonical link, pubDate, source, feed body)
+   - Initial run: newest 10 from latest 100 per feed
+   - Recurring run: every item new since the feed's high-water mark,
+     capped per run (a burst over the cap drains oldest first over
+     the next runs; the mark only moves past what was picked)
    - Deduplicate across feeds
    - Sort newest-first for downstream jobs
    ============================================================ */
 
+const axios = require('axios');
 const Parser = require('rss-parser');
 const dotenv = require('dotenv');
+const Feed = require('../models/feed');
+const Meta = require('../models/meta');
+const { USER_AGENT } = require('./crawlPolicy');
+const { canonicalizeUrl } = require('./canonicalUrl');
 
 dotenv.config();
 
 /* ---------- Tunables ---------- */
+// positive integer from env; unset / non-numeric → fallback
+function envCount(val, fallback) {
+  const n = Math.floor(Number(val));
+  return Number.isFinite(n) && n >= 1 ? n : fallback;
+}
+
 const INITIAL_LIMIT = 100;  // look at latest 100 items on first run
-const INITIAL_PICK  = 10;   // pick 10 random from those
+const INITIAL_PICK  = 10;   // take newest 10 of those (feed.initialPick overrides)
 const RECUR_LIMIT   = 50;   // look at latest 50 items on recurring runs
-const RECUR_PICK    = 4;    // picking 4(As of now) random news
+const RECUR_CAP     = envCount(process.env.RSS_RECUR_CAP, 10); // max new items per feed per run (feed.recurringPick overrides)
+const SEEN_KEYS_MAX = 200;  // item keys remembered per feed for the high-water mark
+const FEED_CONTENT_MAX = 100000; // chars of feed-provided article body kept per item
 
-/* ---------- Source Map ---------- */
-const SOURCE_MAP = {
+const FETCH_TIMEOUT   = 15000;           // per-feed HTTP timeout
+const BACKOFF_BASE_MS = 15 * 60 * 1000;  // first backoff after repeated failures
+const BACKOFF_MAX_MS  = 24 * 60 * 60 * 1000;
+const BACKOFF_AFTER   = 3;               // failures tolerated before backing off
+const SEED_MARKER     = 'feeds-seeded';  // Meta _id
+
+/* ---------- Seed Names ---------- */
+// display names used when seeding the registry from env
+const SEED_NAMES = {
   'https://feeds.feedburner.com/ndtvnews-top-stories': 'NDTV',
   'https://www.thehindu.com/news/national/feeder/default.rss': 'The Hindu',
   'https://news.abplive.com/home/feed': 'ABP News',
@@ -45,6 +72,8 @@ function siteFromURL(feedURL) {
 }
 
 function pickLink(item) {
+  // FeedBurner rewrites links to its redirector; the original is kept here
+  if (typeof item.origLink === 'string' && item.origLink) return item.origLink;
   if (typeof item.link === 'string') return item.link;
   if (item.guid && typeof item.guid === 'string') return item.guid;
   if (Array.isArray(item.link) && item.link.length) {
@@ -61,76 +90,303 @@ function toDate(val) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
-// Pick N random items from an array
-function pickRandomItems(arr, count) {
-  if (!Array.isArray(arr) || arr.length === 0) return [];
-  const shuffled = arr.sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, count);
+// Stable identity of a feed item (guid → link → title)
+function itemKey(item) {
+  if (item.guid && typeof item.guid === 'string') return item.guid;
+  return pickLink(item) || item.title || '';
+}
+
+function itemDate(item) {
+  return toDate(item.isoDate || item.pubDate || item.published || item.updated);
+}
+
+// Newest first; undated items keep their feed position
+function sortByRecency(items) {
+  return items
+    .map((item, i) => ({ item, i, t: itemDate(item)?.getTime() ?? null }))
+    .sort((a, b) => (a.t != null && b.t != null && b.t !== a.t) ? b.t - a.t : a.i - b.i)
+    .map(x => x.item);
+}
+
+// Items not seen before and not older than the feed's high-water mark
+function selectNewItems(items, highWater) {
+  const seen = new Set(highWater?.seenKeys || []);
+  const mark = highWater?.lastPubDate ? new Date(highWater.lastPubDate).getTime() : null;
+
+  return items.filter(item => {
+    const key = itemKey(item);
+    if (!key || seen.has(key)) return false;
+    const t = itemDate(item)?.getTime();
+    return mark == null || t == null || t >= mark;
+  });
+}
+
+// New high-water mark after consuming `items` (picked, or not worth picking)
+function nextHighWater(items, highWater) {
+  let lastPubDate = highWater?.lastPubDate ? new Date(highWater.lastPubDate) : null;
+  for (const item of items) {
+    const d = itemDate(item);
+    if (d && (!lastPubDate || d > lastPubDate)) lastPubDate = d;
+  }
+
+  const keys = items.map(itemKey).filter(Boolean);
+  const seenKeys = [...new Set([...keys, ...(highWater?.seenKeys || [])])].slice(0, SEEN_KEYS_MAX);
+
+  return { lastPubDate, seenKeys };
+}
+
+// 15m, 30m, 1h, … capped at BACKOFF_MAX_MS
+function backoffDelay(failures) {
+  const steps = Math.max(0, failures - BACKOFF_AFTER);
+  return Math.min(BACKOFF_BASE_MS * 2 ** steps, BACKOFF_MAX_MS);
 }
 
 /* ---------- Parser ---------- */
+// HTTP is done with axios (to see status + validators); parser only parses
+const FETCH_HEADERS = {
+  'User-Agent': USER_AGENT,
+  'Accept': 'application/rss+xml,application/atom+xml,application/xml;q=0.9,*/*;q=0.8'
+};
+
 const parser = new Parser({
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-    'Accept': 'application/rss+xml,application/xml'
-  },
   customFields: {
     item: [
       ['media:content', 'mediaContent', { keepArray: true }],
       ['media:thumbnail', 'mediaThumbnail', { keepArray: true }],
-      ['content:encoded', 'contentEncoded']
+      ['content:encoded', 'contentEncoded'],
+      ['feedburner:origLink', 'origLink']
     ]
   }
 });
 
-/* ---------- Feed List ---------- */
-const rssFeeds =
-  process.env.RSS_URL_TOP_STORIES?.split(',')
+/* ---------- Feed Registry ---------- */
+// env list is only used to seed an empty registry
+function envFeeds() {
+  return (process.env.RSS_URL_TOP_STORIES || '')
+    .split(',')
     .map(s => s.trim())
-    .filter(Boolean) || [];
+    .filter(Boolean);
+}
+
+let seeded = false; // marker seen by this process → skip the lookup
+
+async function seedFeedsFromEnv() {
+  if (seeded) return;
+  const urls = envFeeds();
+  if (!urls.length) return;
+
+  // claim the marker first: exactly one process (ever) gets to seed
+  let claimed;
+  try {
+    const res = await Meta.updateOne(
+      { _id: SEED_MARKER },
+      { $setOnInsert: { value: { count: urls.length }, at: new Date() } },
+      { upsert: true }
+    );
+    claimed = res.upsertedCount > 0;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    claimed = false; // concurrent upsert lost the race
+  }
+  seeded = true;
+  if (!claimed) return;
+  // registries from before the marker existed are already set up
+  if (await Feed.estimatedDocumentCount() > 0) return;
+
+  const docs = urls.map(url => ({ url, name: SEED_NAMES[url] || siteFromURL(url) }));
+  try {
+    await Feed.insertMany(docs, { ordered: false });
+    console.log(`Seeded feed registry with ${docs.length} feeds from RSS_URL_TOP_STORIES`);
+  } catch (err) {
+    if (err?.code === 11000) return; // some URLs added by hand meanwhile
+    // let the next run try again
+    seeded = false;
+    await Meta.deleteOne({ _id: SEED_MARKER }).catch(() => {});
+    throw err;
+  }
+}
+
+async function loadFeeds() {
+  await seedFeedsFromEnv();
+  return Feed.find({ enabled: true }).sort({ createdAt: 1, _id: 1 }).lean();
+}
+
+/* ---------- Feed Health ---------- */
+async function recordSuccess(feed, { status, itemCount, etag, lastModified }) {
+  const now = new Date();
+  const set = {
+    'health.status': status,
+    'health.consecutiveFailures': 0,
+    'health.lastFetchAt': now,
+    'health.lastSuccessAt': now,
+    'health.lastError': '',
+    'health.backoffUntil': null
+  };
+  if (itemCount != null) set['health.lastItemCount'] = itemCount;
+  if (etag !== undefined) set.etag = etag;
+  if (lastModified !== undefined) set.lastModified = lastModified;
+
+  await Feed.updateOne({ _id: feed._id }, { $set: set });
+}
+
+async function recordFailure(feed, err) {
+  const failures = (feed.health?.consecutiveFailures || 0) + 1;
+  const backoffUntil = failures >= BACKOFF_AFTER
+    ? new Date(Date.now() + backoffDelay(failures))
+    : null;
+
+  await Feed.updateOne(
+    { _id: feed._id },
+    {
+      $set: {
+        'health.status': 'error',
+        'health.consecutiveFailures': failures,
+        'health.lastFetchAt': new Date(),
+        'health.lastError': String(err?.message || err).slice(0, 500),
+        'health.backoffUntil': backoffUntil
+      }
+    }
+  );
+  return backoffUntil;
+}
+
+function inBackoff(feed) {
+  const until = feed.health?.backoffUntil;
+  return until && new Date(until).getTime() > Date.now();
+}
 
 /* ---------- Normalization ---------- */
-function normalizeItem(item, url) {
-  const source = SOURCE_MAP[url] || siteFromURL(url);
+function normalizeItem(item, feed) {
+  const source = feed.name || siteFromURL(feed.url);
   return {
     title: item.title || '',
-    link: pickLink(item),
-    pubDate: toDate(item.isoDate || item.pubDate || item.published || item.updated),
-    source
+    // canonical form is the queue / dedup key; the feed's own link is what we fetch
+    link: canonicalizeUrl(pickLink(item)),
+    feedLink: pickLink(item),
+    pubDate: itemDate(item),
+    source,
+    summaryLanguage: feed.summaryLanguage || 'source',
+    categoryHints: feed.tags || [],
+    // scraper falls back to this when the page itself is too thin
+    feedContent: String(item.contentEncoded || item.content || '').slice(0, FEED_CONTENT_MAX)
   };
 }
 
 /* ---------- Fetch One Feed ---------- */
-async function fetchOne(url, mode = 'recurring') {
-  const feed = await parser.parseURL(url);
-  const items = Array.isArray(feed?.items) ? feed.items : [];
+// Conditional GET: returns null when the feed is unchanged (304)
+async function fetchFeedXML(feed, mode) {
+  const headers = { ...FETCH_HEADERS };
+  // initial fills always need the full feed
+  if (mode !== 'initial') {
+    if (feed.etag) headers['If-None-Match'] = feed.etag;
+    if (feed.lastModified) headers['If-Modified-Since'] = feed.lastModified;
+  }
+
+  const res = await axios.get(feed.url, {
+    headers,
+    timeout: FETCH_TIMEOUT,
+    maxRedirects: 5,
+    responseType: 'text',
+    validateStatus: s => (s >= 200 && s < 300) || s === 304
+  });
 
+  if (res.status === 304) return null;
+  return {
+    xml: res.data,
+    etag: res.headers.etag || '',
+    lastModified: res.headers['last-modified'] || ''
+  };
+}
+
+async function fetchOne(feed, mode = 'recurring') {
+  const fetched = await fetchFeedXML(feed, mode);
+  if (!fetched) {
+    await recordSuccess(feed, { status: 'not_modified' });
+    return { status: 'not_modified', itemCount: 0, newCount: 0, articles: [] };
+  }
+
+  const parsed = await parser.parseString(fetched.xml);
+  const items = Array.isArray(parsed?.items) ? parsed.items : [];
+
+  await recordSuccess(feed, {
+    status: 'ok',
+    itemCount: items.length,
+    etag: fetched.etag,
+    lastModified: fetched.lastModified
+  });
+
+  let picked;
+  let consumed; // items the high-water mark moves past
+  let newCount;
   if (mode === 'initial') {
-    const latest = items.slice(0, INITIAL_LIMIT);
-    const picked = pickRandomItems(latest, INITIAL_PICK);
-    return picked.map(item => normalizeItem(item, url));
+    // initial fill: newest few only, the rest of the window is history
+    consumed = items.slice(0, INITIAL_LIMIT);
+    picked = sortByRecency(consumed).slice(0, feed.initialPick || INITIAL_PICK);
+    newCount = consumed.length;
   } else {
-    const latest = items.slice(0, RECUR_LIMIT);
-    const howMany = Math.floor(Math.random() * 2) + (RECUR_PICK - 1); // 3–4
-    const picked = pickRandomItems(latest, howMany);
-    return picked.map(item => normalizeItem(item, url));
+    const seenWindow = items.slice(0, RECUR_LIMIT);
+    const fresh = selectNewItems(seenWindow, feed.highWater);
+    const cap = feed.recurringPick || RECUR_CAP;
+    newCount = fresh.length;
+    // over the cap: take the oldest new items and leave the rest above the
+    // mark, so a burst drains over the next runs instead of being dropped
+    picked = sortByRecency(fresh).slice(-cap);
+    if (fresh.length > picked.length) {
+      console.warn(`${feed.url}: ${fresh.length} new items, taking the oldest ${picked.length} (rest next run)`);
+    }
+    const left = new Set(fresh.filter(item => !picked.includes(item)));
+    consumed = seenWindow.filter(item => !left.has(item));
   }
+
+  await Feed.updateOne(
+    { _id: feed._id },
+    { $set: { highWater: nextHighWater(consumed, feed.highWater) } }
+  );
+
+  return {
+    status: 'ok',
+    itemCount: items.length,
+    newCount,
+    articles: picked.map(item => normalizeItem(item, feed))
+  };
 }
 
 /* ---------- Fetch All Feeds ---------- */
-async function fetchRSSArticles(mode = 'recurring') {
+/**
+ * Fetch candidates from every enabled feed.
+ * @param {'initial'|'recurring'} mode
+ * @param {Array} [feedStats] - optional; receives one entry per feed
+ *   ({ feedId, url, name, status, itemCount, newCount, picked, error })
+ */
+async function fetchRSSArticles(mode = 'recurring', feedStats = []) {
   const allArticles = [];
+  const feeds = await loadFeeds();
+
+  for (const feed of feeds) {
+    const stat = { feedId: feed._id, url: feed.url, name: feed.name };
+    feedStats.push(stat);
 
-  for (const url of rssFeeds) {
+    if (inBackoff(feed)) {
+      console.warn(`Skipping ${feed.url}: backing off until ${new Date(feed.health.backoffUntil).toISOString()}`);
+      stat.status = 'backoff';
+      continue;
+    }
     try {
-      const articles = await fetchOne(url, mode);
+      const { status, itemCount, newCount, articles } = await fetchOne(feed, mode);
+      Object.assign(stat, { status, itemCount, newCount, picked: articles.length });
       allArticles.push(...articles);
     } catch (err) {
-      console.error(`Unable to fetch from ${url}: ${err.message}`);
+      console.error(`Unable to fetch from ${feed.url}: ${err.message}`);
+      Object.assign(stat, { status: 'error', error: err.message });
+      try {
+        await recordFailure(feed, err);
+      } catch (e) {
+        console.error(`Unable to record failure for ${feed.url}: ${e.message}`);
+      }
     }
   }
 
-  // Deduplicate
+  // Deduplicate (links are canonical by now)
   const seen = new Set();
   const deduped = [];
   for (const a of allArticles) {
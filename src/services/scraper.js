@@ -2,17 +2,122 @@
    /src/services/scraper.js
    ------------------------------------------------------------
    Responsibilities:
-   - Fetch raw HTML for a given article link
-   - Extract main article text using known selectors
-   - Fallback: collect <p> tags if selectors fail
-   - Remove boilerplate (ads, share prompts, © notices)
-   - Extract representative image (pref. og:image / twitter:image)
-   - Return { content, image } for summarization + storage
+   - Fetch raw HTML for a given article link (through crawlPolicy:
+     robots.txt, per-host rate limits, honest User-Agent), capped at
+     SCRAPE_MAX_BYTES and decoded per HTTP / <meta> charset
+   - Keep the raw HTML briefly (RawPage, RAW_HTML_TTL_HOURS) for debugging
+   - Pick a per-domain extraction profile (config/extractionProfiles.json)
+   - Extract main article text: profile → known selectors → text density
+   - Last resort: collect <p> tags
+   - Thin pages: retry via <link rel="amphtml">, then the feed's
+     content:encoded body
+   - Strip junk elements + boilerplate (ads, share prompts, © notices)
+   - Extract representative image candidates (profile / og:image /
+     twitter:image / first <img>s), best first; the image pipeline
+     verifies them and keeps the first real photo
+   - Canonical URL of the page (<link rel="canonical">, else the end
+     of the redirect chain; see canonicalUrl) for deduplication
+   - Return { content, image, images, strategy, profile, canonicalUrl } for summarization + storage
+     (on fetch failure: strategy 'error' + { error, retryable, retryAfterMs };
+     robots.txt refusal: strategy 'disallowed')
    ============================================================ */
 
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const cheerio = require('cheerio');
+const iconv = require('iconv-lite');
 const { URL } = require('url');
+const { politeGet } = require('./crawlPolicy');
+const { pageCanonical } = require('./canonicalUrl');
+const RawPage = require('../models/rawPage');
+
+/* ---------- Tunables ---------- */
+const MIN_TEXT_LEN = 200;   // extracted text below this → try next strategy
+const MIN_PARA_LEN = 50;    // paragraph fallback skips shorter lines
+const MAX_IMAGES = 5;       // image candidates handed to the image pipeline
+const MIN_CONTENT_LEN = 200; // below this → try AMP / feed body; newsJob rejects it (exported)
+const MAX_HTML_BYTES = Number(process.env.SCRAPE_MAX_BYTES || 3 * 1024 * 1024);
+const META_SNIFF_BYTES = 4096; // <meta charset> must appear this early
+const RAW_HTML_MAX_CHARS = 1024 * 1024; // debug copy cap (Mongo doc limit)
+const PROFILES_PATH =
+  process.env.EXTRACTION_PROFILES ||
+  path.join(__dirname, '..', 'config', 'extractionProfiles.json');
+
+/* ---------- Generic Rules ---------- */
+const knownSelectors = [
+  '.article__content',
+  '.article-body',
+  '.Normal',
+  'div#content',
+  'article',
+  '.story-content',
+  '.post-content',
+  '.entry-content',
+  '#storyBody'
+];
+
+// removed before any extraction (profile.strip adds to this)
+const baseStrip = [
+  'script', 'style', 'noscript', 'iframe', 'form', 'nav', 'header', 'footer', 'aside'
+];
+
+// fuzzy class/id matches: only removed if they don't wrap real body text
+const fuzzyStrip = [
+  '[class*="share"]', '[class*="social"]', '[class*="comment"]', '[class*="related"]',
+  '[class*="newsletter"]', '[class*="advert"]', '[id*="comment"]'
+];
+
+const baseBoilerplate = [
+  /share this article/gi,
+  /advertisement/gi,
+  /©\s?\d{4}/gi
+];
+
+const baseImage = [
+  'meta[property="og:image"]',
+  'meta[name="twitter:image"]',
+  'img'
+];
+
+/* ---------- Profiles ---------- */
+// compile JSON profiles once: { domain: { content, strip, image, boilerplate } }
+function loadProfiles(file = PROFILES_PATH) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const out = {};
+    for (const [domain, p] of Object.entries(raw)) {
+      out[domain.toLowerCase().replace(/^www\./, '')] = {
+        content: p.content || [],
+        strip: p.strip || [],
+        image: p.image || [],
+        boilerplate: (p.boilerplate || []).map(src => new RegExp(src, 'gi'))
+      };
+    }
+    return out;
+  } catch (err) {
+    console.error(`Could not load extraction profiles from ${file}:`, err.message);
+    return {};
+  }
+}
+
+const profiles = loadProfiles();
+
+// longest matching domain suffix wins (m.news18.com → news18.com)
+function profileFor(pageUrl) {
+  let host;
+  try {
+    host = new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  let best = null;
+  for (const domain of Object.keys(profiles)) {
+    if (host === domain || host.endsWith(`.${domain}`)) {
+      if (!best || domain.length > best.length) best = domain;
+    }
+  }
+  return best ? { domain: best, ...profiles[best] } : null;
+}
 
 /* ---------- Helpers ---------- */
 // Resolve a relative image URL against page URL
@@ -24,79 +129,257 @@ function resolveImage(src, pageUrl) {
   }
 }
 
-/* ---------- Core Scraper ---------- */
-async function extractContentFromLink(url) {
-  try {
-    // Fetch HTML with safe headers and sane timeouts
-    const { data } = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0',
-        'Accept-Language': 'en-US,en;q=0.9'
-      },
-      timeout: 10000,                 // fail after 10s
-      maxRedirects: 5,                // avoid endless loops
-      validateStatus: s => s >= 200 && s < 400 // accept 2xx/3xx only
-    });
+function squash(text = '') {
+  return text.replace(/\s+/g, ' ').trim();
+}
 
-    const $ = cheerio.load(data);
-
-    /* ---------- Step 1: Known Article Containers ---------- */
-    let articleText = '';
-    const knownSelectors = [
-      '.article__content',
-      '.article-body',
-      '.Normal',
-      'div#content',
-      'article',
-      '.story-content',
-      '.post-content',
-      '.entry-content',
-      '#storyBody'
-    ];
-
-    for (const selector of knownSelectors) {
-      if ($(selector).length) {
-        articleText = $(selector).text().trim();
-        if (articleText.length > 200) break; // stop if substantial
-      }
-    }
+// extracted text keeps one paragraph per line until cleanText, so
+// boilerplate patterns ending in .*$ only eat their own paragraph
+function paragraphs(list) {
+  return list.map(t => squash(t)).filter(Boolean).join('\n');
+}
+
+// paragraph-aware text of a container (keeps sentence breaks between blocks)
+function blockText($, el) {
+  const paras = $(el).find('p').map((_, p) => $(p).text()).get();
+  return paragraphs(paras.length ? paras : $(el).text().split(/\n/));
+}
+
+function firstMatch($, selectors) {
+  for (const selector of selectors) {
+    const el = $(selector).first();
+    if (!el.length) continue;
+    const text = blockText($, el);
+    if (text.length > MIN_TEXT_LEN) return text;
+  }
+  return '';
+}
+
+function linkDensity($, el) {
+  const textLen = squash($(el).text()).length || 1;
+  const linkLen = $(el).find('a').map((_, a) => squash($(a).text())).get().join('').length;
+  return linkLen / textLen;
+}
+
+/* ---------- Text-Density Fallback ---------- */
+// Readability-style scoring: paragraphs vote for their parent (and half
+// for the grandparent); the best container's paragraphs become the text.
+function densityExtract($) {
+  const scores = new Map();
+  const add = (el, pts) => {
+    if (!el) return;
+    scores.set(el, (scores.get(el) || 0) + pts);
+  };
+
+  $('p').each((_, p) => {
+    const text = squash($(p).text());
+    if (text.length < 25) return;
+    const pts = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    add(p.parent, pts);
+    add(p.parent?.parent, pts / 2);
+  });
 
-    /* ---------- Step 2: Fallback to <p> tags ---------- */
-    if (!articleText || articleText.length < 200) {
-      articleText = $('p')
-        .map((_, el) => $(el).text().trim())
-        .get()
-        .filter(p => p.length > 50) // skip short boilerplate lines
-        .join(' ');
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
     }
+  }
+  if (!best) return '';
+
+  return $(best)
+    .find('p')
+    .filter((_, p) => linkDensity($, p) < 0.5)
+    .map((_, p) => squash($(p).text()))
+    .get()
+    .filter(t => t.length >= 25)
+    .join('\n');
+}
+
+function paragraphExtract($) {
+  return $('p')
+    .map((_, el) => squash($(el).text()))
+    .get()
+    .filter(p => p.length > MIN_PARA_LEN) // skip short boilerplate lines
+    .join('\n');
+}
 
-    /* ---------- Step 3: Boilerplate Cleanup ---------- */
-    const boilerplatePatterns = [
-      /share this article/gi,
-      /advertisement/gi,
-      /©\s?\d{4}/gi
-    ];
-    boilerplatePatterns.forEach(pattern => {
-      articleText = articleText.replace(pattern, '');
+// candidate image URLs in selector order (absolute, de-duplicated)
+function pickImages($, selectors, pageUrl) {
+  const out = [];
+  for (const selector of selectors) {
+    $(selector).slice(0, MAX_IMAGES).each((_, node) => {
+      const el = $(node);
+      const src = el.is('meta') ? el.attr('content') : (el.attr('src') || el.attr('data-src'));
+      const abs = src ? resolveImage(src.trim(), pageUrl) : '';
+      if (/^https?:\/\//i.test(abs) && !out.includes(abs)) out.push(abs);
     });
+    if (out.length >= MAX_IMAGES) break;
+  }
+  return out.slice(0, MAX_IMAGES);
+}
+
+/* ---------- Fetching ---------- */
+// charset: HTTP header → BOM → <meta> in the first bytes → UTF-8
+function sniffCharset(buffer, contentType = '') {
+  const fromHeader = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType)?.[1];
+  if (fromHeader && iconv.encodingExists(fromHeader)) return fromHeader.toLowerCase();
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
 
-    articleText = articleText.replace(/\s+/g, ' ').trim();
+  const head = buffer.subarray(0, META_SNIFF_BYTES).toString('latin1');
+  const fromMeta =
+    /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head)?.[1];
+  if (fromMeta && iconv.encodingExists(fromMeta)) return fromMeta.toLowerCase();
+  return 'utf-8';
+}
+
+// keep the raw page briefly for debugging extraction (best effort)
+function rememberRaw(url, page) {
+  RawPage.updateOne(
+    { url },
+    { $set: { ...page, html: page.html.slice(0, RAW_HTML_MAX_CHARS), fetchedAt: new Date() } },
+    { upsert: true }
+  ).catch(err => console.error(`Could not cache raw HTML for ${url}:`, err.message));
+}
 
-    /* ---------- Step 4: Extract Representative Image ---------- */
-    let image =
-      $('meta[property="og:image"]').attr('content') ||
-      $('meta[name="twitter:image"]').attr('content') ||
-      $('img').first().attr('src') ||
-      '';
+// size-bounded, charset-aware GET → { html, finalUrl } (after redirects)
+async function fetchHTML(url) {
+  const res = await politeGet(url, {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9'
+    },
+    responseType: 'arraybuffer',
+    timeout: 10000,                 // fail after 10s
+    maxRedirects: 5,                // avoid endless loops
+    maxContentLength: MAX_HTML_BYTES, // axios aborts the download past this
+    validateStatus: s => s >= 200 && s < 400 // accept 2xx/3xx only
+  });
+
+  const buffer = Buffer.from(res.data);
+  const contentType = String(res.headers['content-type'] || '');
+  const charset = sniffCharset(buffer, contentType);
+  const html = iconv.decode(buffer, charset);
+  rememberRaw(url, { status: res.status, contentType, charset, bytes: buffer.length, html });
+  return { html, finalUrl: res.request?.res?.responseUrl || url };
+}
 
-    image = resolveImage(image, url);
+/* ---------- Extraction ---------- */
+// HTML → { content, images, strategy, profile, ampUrl, declaredCanonical }
+function extractFromHTML(html, url) {
+  const $ = cheerio.load(html);
+  const profile = profileFor(url);
 
-    return { content: articleText, image };
+  /* ---------- Step 1: Image + AMP link (before stripping removes them) ---------- */
+  const images = pickImages($, [...(profile?.image || []), ...baseImage], url);
+  const amp = $('link[rel="amphtml"]').attr('href');
+  const ampUrl = amp ? resolveImage(amp.trim(), url) : '';
+  const declared = $('link[rel="canonical"]').attr('href');
+  const declaredCanonical = declared ? resolveImage(declared.trim(), url) : '';
+
+  /* ---------- Step 2: Strip Junk Elements ---------- */
+  $([...baseStrip, ...(profile?.strip || [])].join(',')).remove();
+  $(fuzzyStrip.join(',')).filter((_, el) => $(el).find('p').length < 3).remove();
+
+  /* ---------- Step 3: Extract (first strategy that yields enough) ---------- */
+  let articleText = '';
+  let strategy = 'none';
+  const strategies = [
+    ['profile', () => (profile ? firstMatch($, profile.content) : '')],
+    ['selectors', () => firstMatch($, knownSelectors)],
+    ['density', () => densityExtract($)],
+    ['paragraphs', () => paragraphExtract($)]
+  ];
+  for (const [name, run] of strategies) {
+    const text = run();
+    if (text.length > MIN_TEXT_LEN || (text && !articleText)) {
+      articleText = text;
+      strategy = name;
+    }
+    if (articleText.length > MIN_TEXT_LEN) break;
+  }
+
+  /* ---------- Step 4: Boilerplate Cleanup ---------- */
+  return { content: cleanText(articleText, profile), images, strategy, profile: profile?.domain || null, ampUrl, declaredCanonical };
+}
+
+// boilerplate runs per paragraph, then paragraphs are joined into one line
+function cleanText(text, profile) {
+  const patterns = [...baseBoilerplate, ...(profile?.boilerplate || [])];
+  return text
+    .split('\n')
+    .map(para => squash(patterns.reduce((out, pattern) => out.replace(pattern, ''), squash(para))))
+    .filter(Boolean)
+    .join(' ');
+}
+
+// feed-provided body (content:encoded) → plain text
+function feedText(feedHtml, url) {
+  const $ = cheerio.load(feedHtml);
+  $(baseStrip.join(',')).remove();
+  const text = blockText($, $.root());
+  return cleanText(text, profileFor(url));
+}
+
+/* ---------- Core Scraper ---------- */
+/**
+ * @param {string} url - article link
+ * @param {{ feedContent?: string }} [fallbacks] - feed-provided HTML body, used
+ *   when the page (and its AMP version) yields too little text
+ */
+async function extractContentFromLink(url, { feedContent = '' } = {}) {
+  let result;
+  let canonicalUrl;
+  try {
+    const page = await fetchHTML(url);
+    result = extractFromHTML(page.html, page.finalUrl);
+    canonicalUrl = pageCanonical({ declared: result.declaredCanonical, finalUrl: page.finalUrl, requested: url });
   } catch (err) {
+    const empty = { content: '', image: '', images: [], profile: null, error: err.message };
+    if (err.reason === 'disallowed') return { ...empty, strategy: 'disallowed', retryable: false };
+
     console.error(`❌ Failed to scrape ${url}:`, err.message);
-    return { content: '', image: '' };
+    // network errors, timeouts, host cooldowns, 429 and 5xx are worth retrying later;
+    // a page over MAX_HTML_BYTES will not shrink
+    const status = err?.response?.status;
+    const tooLarge = /maxContentLength/i.test(err.message);
+    const retryable = !tooLarge && (!status || status === 429 || status >= 500);
+    // a page we will never get (403 paywall, 404, too large) can still have a feed body
+    const text = retryable || !feedContent ? '' : feedText(feedContent, url);
+    if (text.length < MIN_CONTENT_LEN) {
+      return { ...empty, strategy: 'error', retryable, retryAfterMs: err.retryAfterMs || 0 };
+    }
+    return { content: text, image: '', images: [], strategy: 'feed', profile: null };
+  }
+
+  /* ---------- Thin page: AMP version, then the feed's own body ---------- */
+  if (result.content.length < MIN_CONTENT_LEN && result.ampUrl && result.ampUrl !== url) {
+    try {
+      const ampPage = await fetchHTML(result.ampUrl);
+      const amp = extractFromHTML(ampPage.html, ampPage.finalUrl);
+      if (amp.content.length > result.content.length) {
+        result = { ...result, content: amp.content, strategy: `amp_${amp.strategy}`,
+          images: result.images.length ? result.images : amp.images };
+      }
+    } catch (err) {
+      console.error(`AMP fallback failed for ${url}:`, err.message);
+    }
   }
+  if (result.content.length < MIN_CONTENT_LEN && feedContent) {
+    const text = feedText(feedContent, url);
+    if (text.length > result.content.length) result = { ...result, content: text, strategy: 'feed' };
+  }
+
+  const { content, images, strategy, profile } = result;
+  return { content, image: images[0] || '', images, strategy, profile, canonicalUrl };
 }
 
 /* ---------- Exports ---------- */
 module.exports = extractContentFromLink;
+module.exports.MIN_CONTENT_LEN = MIN_CONTENT_LEN;
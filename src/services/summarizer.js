@@ -3,119 +3,152 @@
    ------------------------------------------------------------
    Responsibilities:
    - Summarize scraped news content into ~100 words
-   - Rotate across multiple LLM models on failures / rate limits
-   - Clean responses to strip “Summary:” style lead-ins
-   - Fail gracefully (never throw), always return a string
+   - Try summarizer providers in configured order (SUMMARIZER_PROVIDERS)
+     · groq / openai / llm → OpenAI-compatible endpoints (see summarizers/)
+     · extractive          → offline TextRank, no network
+   - Skip providers that aren't configured (no API key)
+   - Quality gate every candidate (summaryValidator); rejected output
+     moves on to the next model / provider, reasons are reported
+   - Summarize in a target language (source language, English, …)
+   - Translate short texts (titles, summaries) through the LLM providers
+   - Fail gracefully (never throw); report which provider + model won
    ============================================================ */
 
-const OpenAI = require('openai');
 const dotenv = require('dotenv');
+const createOpenAIProvider = require('./summarizers/openaiProvider');
+const extractiveProvider = require('./summarizers/extractiveProvider');
+const validateSummary = require('./summaryValidator');
+const { languageName } = require('./langDetect');
 
 dotenv.config();
 
-/* ---------- Model List ---------- */
-// Build list from env (MODEL_LIST), else fallback
-const MODELS = (process.env.MODEL_LIST || '')
-  .split(',')
-  .map(s => s.trim())
-  .filter(Boolean);
-
-if (!MODELS.length) MODELS.push('llama-3.1-8b-instant');
-
-/* ---------- Client ---------- */
-// Groq exposes OpenAI-compatible API surface
-const client = new OpenAI({
-  apiKey: process.env.GROQ_API_KEY,
-  baseURL: 'https://api.groq.com/openai/v1',
-});
-
 /* ---------- Helpers ---------- */
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-// Strip “Summary:” / “Here’s the summary:” etc.
-function clean(text = '') {
-  return text
-    .replace(/^\s*(here'?s|this is)\s+(the\s+)?summary[:\-]\s*/i, '')
-    .replace(/^\s*summary[:\-]\s*/i, '')
-    .trim();
-}
-
-// Check if error is a rate-limit / quota issue
-function isRateLimit(err) {
-  const status = err?.status ?? err?.response?.status;
-  const msg = String(err?.message || '').toLowerCase();
-  return status === 429 || msg.includes('rate limit') || msg.includes('quota') || msg.includes('tpm');
+function list(val = '') {
+  return String(val)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
 }
 
-// Check if error is retryable (timeouts, 5xx, overload)
-function isRetryable(err) {
-  const status = err?.status ?? err?.response?.status;
-  const msg = String(err?.message || '').toLowerCase();
-  return (
-    isRateLimit(err) ||
-    (status >= 500 && status < 600) ||
-    msg.includes('timeout') ||
-    msg.includes('temporar') || // temporary/unavailable
-    msg.includes('overload')
-  );
-}
-
-/* ---------- Single Call ---------- */
-// Make one LLM call with strict summarization prompt
-async function callOnce(model, text) {
-  const prompt = `Summarize the news below in under 100 words. Return only the summary—no preface, no bullets, no title.
-
-${text}`;
-
-  const res = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: 'Write a tight, neutral, single-paragraph news summary. No lead-ins.' },
-      { role: 'user', content: prompt }
-    ],
-    temperature: 0.2,
-  });
+/* ---------- Provider Registry ---------- */
+// Each builder returns a provider or null when it isn't configured
+const BUILDERS = {
+  // Groq exposes OpenAI-compatible API surface (MODEL_LIST kept for back-compat)
+  groq: () => process.env.GROQ_API_KEY && createOpenAIProvider({
+    name: 'groq',
+    apiKey: process.env.GROQ_API_KEY,
+    baseURL: 'https://api.groq.com/openai/v1',
+    models: list(process.env.MODEL_LIST).length ? list(process.env.MODEL_LIST) : ['llama-3.1-8b-instant']
+  }),
+
+  openai: () => process.env.OPENAI_API_KEY && createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    models: list(process.env.OPENAI_MODEL_LIST).length ? list(process.env.OPENAI_MODEL_LIST) : ['gpt-4o-mini']
+  }),
+
+  // any other OpenAI-compatible server (Ollama, vLLM, OpenRouter …)
+  llm: () => process.env.LLM_BASE_URL && list(process.env.LLM_MODEL_LIST).length && createOpenAIProvider({
+    name: 'llm',
+    apiKey: process.env.LLM_API_KEY || 'none',
+    baseURL: process.env.LLM_BASE_URL,
+    models: list(process.env.LLM_MODEL_LIST)
+  }),
+
+  extractive: () => extractiveProvider
+};
+
+const PROVIDER_ORDER = list(process.env.SUMMARIZER_PROVIDERS).length
+  ? list(process.env.SUMMARIZER_PROVIDERS)
+  : ['groq', 'extractive'];
+
+const providers = PROVIDER_ORDER
+  .map(name => {
+    const build = BUILDERS[name];
+    if (!build) {
+      console.warn(`Unknown summarizer provider "${name}" (SUMMARIZER_PROVIDERS) → ignored`);
+      return null;
+    }
+    return build() || null;
+  })
+  .filter(Boolean);
 
-  return clean(res.choices?.[0]?.message?.content || '');
+if (!providers.length) {
+  console.warn('No summarizer provider configured → using extractive');
+  providers.push(extractiveProvider);
 }
 
 /* ---------- Main Summarizer ---------- */
-// Rotate models on failures, retry transient errors with backoff
-async function summarizeContent(text) {
-  if (!text || text.length < 40) return '';
+/**
+ * Summarize with the first provider whose output passes the quality gate.
+ * @param {string} text
+ * @param {{ lang?: string, sourceLang?: string }} [opts]
+ *   lang: output language code (default: sourceLang); sourceLang: language of `text` (default 'en')
+ * @returns {Promise<{ summary: string, provider: string, model: string, lang: string,
+ *   rejections: Array<{ provider: string, model: string, reason: string }> }>}
+ *   summary is '' when every provider failed or was rejected.
+ */
+async function summarizeContent(text, opts = {}) {
+  const sourceLang = opts.sourceLang || 'en';
+  const lang = opts.lang || sourceLang;
+  const translate = lang !== sourceLang;
+
+  const rejections = [];
+  const empty = { summary: '', provider: '', model: '', lang, rejections };
+  if (!text || text.length < 40) return empty;
+
+  for (const provider of providers) {
+    try {
+      const out = await provider.summarize(text, {
+        // plain English stays on the original prompt
+        language: lang === 'en' && !translate ? undefined : languageName(lang),
+        translate,
+        // names / figures can't be matched verbatim across languages
+        accept: (summary) => validateSummary(summary, text, { checkFacts: !translate }),
+        onReject: (model, reason) => rejections.push({ provider: provider.name, model, reason })
+      });
+      if (out?.summary) return { summary: out.summary, provider: provider.name, model: out.model, lang, rejections };
+    } catch (err) {
+      console.error(`[${provider.name}] summarizer error:`, err?.message || err);
+    }
+  }
 
-  let idx = 0;
-  let lastErr;
+  console.error(
+    'summarize failed: every provider came back empty or rejected',
+    rejections.length ? JSON.stringify(rejections) : ''
+  );
+  return empty;
+}
 
-  for (let turns = 0; turns < MODELS.length * 2; turns++) {
-    const model = MODELS[idx];
+/* ---------- Free-form Completion ---------- */
+// First LLM provider that answers; null when none is configured / all fail
+async function complete(messages, opts = {}) {
+  for (const provider of providers) {
+    if (!provider.complete) continue;
     try {
-      const out = await callOnce(model, text);
-      if (out) return out;
-
-      // empty response → hop to next
-      idx = (idx + 1) % MODELS.length;
+      const out = await provider.complete(messages, opts);
+      if (out?.text) return { ...out, provider: provider.name };
     } catch (err) {
-      lastErr = err;
-
-      if (isRateLimit(err)) {
-        idx = (idx + 1) % MODELS.length;
-        continue;
-      }
-      if (isRetryable(err)) {
-        await sleep(400);
-        idx = (idx + 1) % MODELS.length;
-        continue;
-      }
-
-      // non-retryable
-      break;
+      console.error(`[${provider.name}] completion error:`, err?.message || err);
     }
   }
+  return null;
+}
 
-  console.error('summarize failed after rotations:', lastErr?.message || lastErr);
-  return '';
+/* ---------- Translation ---------- */
+// Translate a short text (title / summary); '' when no LLM can do it
+async function translateText(text, lang) {
+  if (!text) return '';
+  const out = await complete([
+    {
+      role: 'system',
+      content: `Translate the user's text into ${languageName(lang)}. Return only the translation, no notes, no quotes.`
+    },
+    { role: 'user', content: text }
+  ]);
+  return out?.text || '';
 }
 
 /* ---------- Exports ---------- */
-module.exports = summarizeContent;
+module.exports = { summarizeContent, complete, translateText };
@@ -0,0 +1,101 @@
+/* ============================================================
+   /src/services/summarizers/extractiveProvider.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Offline summarizer provider (no network, no API key)
+   - TextRank: rank sentences by word-overlap similarity graph
+   - Keep the best sentences within the word budget, in article order
+   - Works in the source language only (never translates)
+   ============================================================ */
+
+/* ---------- Tunables ---------- */
+const WORD_BUDGET = 100;   // same target as the LLM prompt
+const DAMPING     = 0.85;
+const ITERATIONS  = 30;
+const MAX_SENTS   = 60;    // rank only the first N sentences (lede-heavy news)
+
+/* ---------- Helpers ---------- */
+// split on . ! ? and the Devanagari danda, keep sentences of sensible length
+function splitSentences(text = '') {
+  return String(text)
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?।])\s+(?=["'“‘(\p{Lu}\p{N}\p{Script=Devanagari}])/u)
+    .map(s => s.trim())
+    .filter(s => s.split(' ').length >= 5 && s.split(' ').length <= 60)
+    .slice(0, MAX_SENTS);
+}
+
+function tokens(sentence) {
+  return sentence
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2);
+}
+
+// TextRank similarity: shared words normalised by sentence lengths
+function similarity(a, b) {
+  if (a.length < 2 || b.length < 2) return 0;
+  const sb = new Set(b);
+  const shared = new Set(a.filter(w => sb.has(w))).size;
+  return shared / (Math.log(a.length) + Math.log(b.length));
+}
+
+function rank(sentTokens) {
+  const n = sentTokens.length;
+  const w = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      w[i][j] = w[j][i] = similarity(sentTokens[i], sentTokens[j]);
+    }
+  }
+  const outSum = w.map(row => row.reduce((a, b) => a + b, 0));
+
+  let scores = new Array(n).fill(1);
+  for (let it = 0; it < ITERATIONS; it++) {
+    scores = scores.map((_, i) => {
+      let s = 0;
+      for (let j = 0; j < n; j++) {
+        if (w[j][i] && outSum[j]) s += (w[j][i] / outSum[j]) * scores[j];
+      }
+      return (1 - DAMPING) + DAMPING * s;
+    });
+  }
+  return scores;
+}
+
+/* ---------- Summarize ---------- */
+// opts.accept / opts.onReject: same contract as the LLM providers.
+// Extraction can't translate: opts.translate → no result.
+async function summarize(text, opts = {}) {
+  if (opts.translate) return null;
+
+  const sentences = splitSentences(text);
+  if (!sentences.length) return null;
+
+  const scores = rank(sentences.map(tokens));
+  const order = scores
+    .map((score, i) => ({ i, score }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+
+  const picked = [];
+  let words = 0;
+  for (const { i } of order) {
+    const len = sentences[i].split(' ').length;
+    if (words + len > WORD_BUDGET) continue;
+    picked.push(i);
+    words += len;
+  }
+  if (!picked.length) return null;
+
+  const summary = picked.sort((a, b) => a - b).map(i => sentences[i]).join(' ');
+  const reason = opts.accept ? opts.accept(summary) : null;
+  if (reason) {
+    opts.onReject?.('textrank', reason);
+    return null;
+  }
+  return { summary, model: 'textrank' };
+}
+
+/* ---------- Exports ---------- */
+module.exports = { name: 'extractive', models: ['textrank'], summarize };
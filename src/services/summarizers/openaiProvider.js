@@ -0,0 +1,135 @@
+/* ============================================================
+   /src/services/summarizers/openaiProvider.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Summarizer provider for any OpenAI-compatible endpoint
+     (Groq, OpenAI, local servers …) via baseURL
+   - Rotate across models on failures / rate limits / rejected output
+   - Optional output language; free-form completions for other tasks
+   - Clean responses to strip “Summary:” style lead-ins
+   - Never throw: resolve null when every model failed
+   ============================================================ */
+
+const OpenAI = require('openai');
+
+/* ---------- Helpers ---------- */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Strip “Summary:” / “Here’s the summary:” etc.
+function clean(text = '') {
+  return text
+    .replace(/^\s*(here'?s|this is)\s+(the\s+)?summary[:\-]\s*/i, '')
+    .replace(/^\s*summary[:\-]\s*/i, '')
+    .trim();
+}
+
+// Check if error is a rate-limit / quota issue
+function isRateLimit(err) {
+  const status = err?.status ?? err?.response?.status;
+  const msg = String(err?.message || '').toLowerCase();
+  return status === 429 || msg.includes('rate limit') || msg.includes('quota') || msg.includes('tpm');
+}
+
+// Check if error is retryable (timeouts, 5xx, overload)
+function isRetryable(err) {
+  const status = err?.status ?? err?.response?.status;
+  const msg = String(err?.message || '').toLowerCase();
+  return (
+    isRateLimit(err) ||
+    (status >= 500 && status < 600) ||
+    msg.includes('timeout') ||
+    msg.includes('temporar') || // temporary/unavailable
+    msg.includes('overload')
+  );
+}
+
+/* ---------- Factory ---------- */
+/**
+ * @param {object} cfg
+ * @param {string} cfg.name     - provider name recorded on articles (e.g. 'groq')
+ * @param {string} cfg.apiKey
+ * @param {string} cfg.baseURL  - OpenAI-compatible API root
+ * @param {string[]} cfg.models - rotated in order on failures
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, models }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  /* ---------- Model Rotation ---------- */
+  // Run `call(model)` across models: hop on empty / rejected output and on
+  // rate limits, retry other transient errors with a short backoff.
+  // accept(out) → reason string rejects the output; onReject(model, reason).
+  async function rotate(label, call, { accept, onReject } = {}) {
+    let idx = 0;
+    let lastErr;
+
+    for (let turns = 0; turns < models.length * 2; turns++) {
+      const model = models[idx];
+      try {
+        const out = await call(model);
+        const reason = out && accept ? accept(out) : null;
+        if (out && !reason) return { out, model };
+
+        // empty or rejected response → hop to next
+        if (reason) onReject?.(model, reason);
+        idx = (idx + 1) % models.length;
+      } catch (err) {
+        lastErr = err;
+
+        if (isRateLimit(err)) {
+          idx = (idx + 1) % models.length;
+          continue;
+        }
+        if (isRetryable(err)) {
+          await sleep(400);
+          idx = (idx + 1) % models.length;
+          continue;
+        }
+
+        // non-retryable
+        break;
+      }
+    }
+
+    console.error(`[${name}] ${label} failed after rotations:`, lastErr?.message || lastErr);
+    return null;
+  }
+
+  /* ---------- Single Calls ---------- */
+  async function chat(model, messages, temperature = 0.2) {
+    const res = await client.chat.completions.create({ model, messages, temperature });
+    return res.choices?.[0]?.message?.content || '';
+  }
+
+  // Make one LLM call with strict summarization prompt
+  async function callOnce(model, text, language) {
+    const langLine = language ? ` Write the summary in ${language}.` : '';
+    const prompt = `Summarize the news below in under 100 words.${langLine} Return only the summary—no preface, no bullets, no title.
+
+${text}`;
+
+    return clean(await chat(model, [
+      { role: 'system', content: 'Write a tight, neutral, single-paragraph news summary. No lead-ins.' },
+      { role: 'user', content: prompt }
+    ]));
+  }
+
+  /* ---------- Summarize ---------- */
+  // opts.language: output language name ("Hindi"); omitted → model's default
+  // opts.accept / opts.onReject: quality gate hooks (see rotate)
+  async function summarize(text, opts = {}) {
+    const res = await rotate('summarize', model => callOnce(model, text, opts.language), opts);
+    return res ? { summary: res.out, model: res.model } : null;
+  }
+
+  /* ---------- Free-form Completion ---------- */
+  // Shared client for other small tasks (translation, classification)
+  async function complete(messages, opts = {}) {
+    const res = await rotate('complete', model => chat(model, messages, opts.temperature ?? 0), opts);
+    return res ? { text: res.out.trim(), model: res.model } : null;
+  }
+
+  return { name, models, client, summarize, complete };
+}
+
+/* ---------- Exports ---------- */
+module.exports = createOpenAIProvider;
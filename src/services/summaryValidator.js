@@ -0,0 +1,112 @@
+/* ============================================================
+   /src/services/summaryValidator.js
+   ------------------------------------------------------------
+   Responsibilities:
+   - Quality gate for generated summaries before they're published
+   - Enforce the word budget (and a sane minimum)
+   - Detect model refusals / meta answers
+   - Detect formatting violations (bullets, markdown, headings, paragraphs)
+   - Faithfulness: names and figures must also appear in the source
+   - Return a short reason code (counted in run stats) or null if OK
+   ============================================================ */
+
+/* ---------- Tunables ---------- */
+// read per call, so it never depends on when .env was loaded; prompt asks < 100, allow slack
+const maxWords = () => Number(process.env.SUMMARY_MAX_WORDS) || 120;
+const MIN_WORDS = 15;
+const MAX_MISSING_NAMES   = 1;  // tolerate one paraphrased title/epithet
+const MAX_MISSING_NUMBERS = 0;  // figures must match exactly
+
+/* ---------- Patterns ---------- */
+const REFUSALS = [
+  /\b(i|i'm|i am)\s+(can't|cannot|can not|won't|unable|not able)\b/i,
+  /\bas an ai\b/i,
+  /\b(i'm|i am)\s+sorry\b/i,
+  /\bi apologi[sz]e\b/i,
+  /\b(no|the)\s+(news|article|text|content)\s+(was\s+)?(not\s+)?provided\b/i,
+  /\bplease provide\b/i,
+  /\bi (don't|do not) have (access|enough)\b/i
+];
+
+const FORMATTING = [
+  /^\s*([-*•▪◦]|\d+[.)])\s+/m,      // bullets / numbered lists
+  /\*\*|__|^#{1,6}\s/m,              // markdown emphasis / headings
+  /\n\s*\n/,                         // more than one paragraph
+  /^\s*(title|headline|summary)\s*:/i // labelled output
+];
+
+// capitalised words that aren't names
+const COMMON_CAPS = new Set((
+  'The A An In On At For And But Or Of To From By With As It Its This That These Those ' +
+  'He She They We His Her Their Our After Before While When Where Who What Why How ' +
+  'Monday Tuesday Wednesday Thursday Friday Saturday Sunday January February March April May June ' +
+  'July August September October November December Mr Mrs Ms Dr Rs PM CM'
+).split(' ').map(w => w.toLowerCase()));
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+/* ---------- Helpers ---------- */
+function wordCount(text = '') {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+// Proper-noun-ish tokens: capitalised, not sentence-initial, not common words
+function names(text = '') {
+  const out = new Set();
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    const words = sentence.split(/\s+/).slice(1);
+    for (const raw of words) {
+      const w = raw.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '').replace(/['’]s$/, '');
+      if (w.length > 1 && /^\p{Lu}/u.test(w) && !COMMON_CAPS.has(w.toLowerCase())) out.add(w);
+    }
+  }
+  return [...out];
+}
+
+// Figures with separators removed: "10,000" → "10000", "2.5" stays
+function numbers(text = '') {
+  return [...new Set((text.match(/\d[\d,]*(\.\d+)?/g) || []).map(n => n.replace(/,/g, '')))];
+}
+
+function missingNames(summary, source) {
+  const src = source.toLowerCase();
+  return names(summary).filter(n => !src.includes(n.toLowerCase()));
+}
+
+function missingNumbers(summary, source) {
+  const srcNums = new Set(numbers(source));
+  const src = source.toLowerCase();
+  return numbers(summary).filter(n => {
+    if (srcNums.has(n)) return false;
+    // small figures may be spelt out in the source
+    const i = Number(n);
+    return !(Number.isInteger(i) && i <= 10 && new RegExp(`\\b${NUMBER_WORDS[i]}\\b`).test(src));
+  });
+}
+
+/* ---------- Main ---------- */
+/**
+ * Check a summary against its source text.
+ * @param {string} summary
+ * @param {string} source - scraped article text
+ * @param {{ checkFacts?: boolean }} [opts] - skip faithfulness (e.g. translated output)
+ * @returns {string|null} reason code, or null when the summary passes
+ */
+function validateSummary(summary = '', source = '', opts = {}) {
+  const text = String(summary).trim();
+  const words = wordCount(text);
+
+  if (words < MIN_WORDS) return 'too_short';
+  if (words > maxWords()) return 'too_long';
+  if (REFUSALS.some(re => re.test(text))) return 'refusal';
+  if (FORMATTING.some(re => re.test(text))) return 'formatting';
+
+  if (opts.checkFacts !== false && source) {
+    if (missingNumbers(text, source).length > MAX_MISSING_NUMBERS) return 'unfaithful_numbers';
+    if (missingNames(text, source).length > MAX_MISSING_NAMES) return 'unfaithful_names';
+  }
+  return null;
+}
+
+/* ---------- Exports ---------- */
+module.exports = validateSummary;